@@ -1,9 +1,9 @@
 /**
- * api.js  v2.2
+ * api.js  v2.5
  * All communication with the PHP backend lives here.
  * Import or include before app.js.
  */
-console.log('%capi.js v2.2', 'color:#1a4f8a;font-weight:bold', 'loaded ✓');
+console.log('%capi.js v2.5', 'color:#1a4f8a;font-weight:bold', 'loaded ✓');
 
 const API = (() => {
 
@@ -98,6 +98,11 @@ const API = (() => {
             if (!json.ok) throw new Error(json.error || 'Template search error');
             return json;  // caller uses json.data
         },
+        // Every template on the account, unranked, with the server's checksum —
+        // for comparing an imported bundle against all of them.
+        // Returns: [{ id, name, specimen_name, raw_text, checksum, version }]
+        list: () =>
+            request('templates_list.php'),
         // Fetch saved blank templates for a specimen (legacy, used internally)
         forSpecimen: (specimen_id) =>
             request(`templates_suggest.php?specimen_id=${specimen_id}`),
@@ -105,7 +110,39 @@ const API = (() => {
             request('templates.php', {
                 method: 'POST',
                 body: JSON.stringify({ specimen_id, raw_text })
-            })
+            }),
+        // ── Template editor ──
+        // Edits save a new version of the same template instead of a new
+        // checksum row. Each returns { id, version }.
+        create: (specimen_id, name, raw_text) =>
+            request('template_edit.php', {
+                method: 'POST',
+                body: JSON.stringify({ action: 'create', specimen_id, name, raw_text })
+            }),
+        saveVersion: (template_id, raw_text) =>
+            request('template_edit.php', {
+                method: 'POST',
+                body: JSON.stringify({ action: 'save', template_id, raw_text })
+            }),
+        rename: (template_id, name) =>
+            request('template_edit.php', {
+                method: 'POST',
+                body: JSON.stringify({ action: 'rename', template_id, name })
+            }),
+        // Retired templates drop out of search but keep their history
+        retire: (template_id) =>
+            request('template_edit.php', {
+                method: 'POST',
+                body: JSON.stringify({ action: 'retire', template_id })
+            }),
+        // Returns: [{ version, raw_text, saved_at }], newest first
+        versions: (template_id) =>
+            request(`template_versions.php?template_id=${encodeURIComponent(template_id)}`),
+        // Most common values typed into each placeholder of a template, tallied
+        // from the placeholder_fills sent with case submissions.
+        // Returns: [{ position, hint, values: [{ value, count }] }]
+        placeholderValues: (template_id) =>
+            request(`template_placeholders.php?template_id=${encodeURIComponent(template_id)}`)
     };
 
     // ── Suggestions ───────────────────────────────────────────────────────────
@@ -12,12 +12,13 @@ const App = (() => {
         specimen:    null,
         histories:   [],
         template_id: null,
+        template_raw: null,     // raw text of template_id, for placeholder fills
         termsShown:  [],
         termsUsed:   [],
-        sections:    { cloud: true, blocks: true, similar: true, controls: true },
+        sections:    { cloud: true, blocks: true, fields: true, similar: true, controls: true },
         submitted:   false,
         theme:       'light',   // 'light' | 'dark'
-        format:      'letter-number' // 'letter-number' | 'number-letter'
+        format:      'letter-number' // any id from Cassette.listFormats()
     };
 
     // ── Undo/redo helper — find the changed region between two text states ─────
@@ -57,6 +58,9 @@ const App = (() => {
             }
         });
         ta.addEventListener('cassette:advance', (e) => {
+            // Renumber stale labels below a block inserted mid-specimen, in the
+            // same history step as the insert itself
+            applyReflow(cursorLineIndex(ta) + 1);
             // Snapshot the post-insert state for undo/history
             clearTimeout(_snapshotTimer);
             recordSnapshot('block');
@@ -117,9 +121,20 @@ const App = (() => {
             updateCopyBtn();
         });
 
-        // Ctrl+Z → undo; Ctrl+Y / Ctrl+Shift+Z → redo
+        // Ctrl+Z → undo; Ctrl+Y / Ctrl+Shift+Z → redo; Alt+1…9 → rapid template;
+        // Alt+N → field not applicable; Alt+S → snippet;
+        // 1–9 / first letter → choice while the field picker is open
         ta.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key === 'z' && !e.shiftKey) {
+            if (handleFieldPickerKey(e)) return;
+            if (Rapid.isActive() && e.altKey && !e.ctrlKey && !e.metaKey && /^Digit[1-9]$/.test(e.code)) {
+                e.preventDefault(); rapidPickTemplate(Number(e.code.slice(5)) - 1);
+            } else if (Rapid.isActive() && e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'Equal') {
+                e.preventDefault(); rapidCarryOver();
+            } else if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyN') {
+                e.preventDefault(); notApplicable();
+            } else if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyS') {
+                e.preventDefault(); expandSnippet();
+            } else if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key === 'z' && !e.shiftKey) {
                 e.preventDefault(); undoAction();
             } else if ((e.ctrlKey || e.metaKey) && !e.altKey &&
                        (e.key === 'y' || (e.shiftKey && e.key === 'z'))) {
@@ -169,6 +184,7 @@ const App = (() => {
 
         // ── Field advancement init ────────────────────────────────────────────
         loadFieldPrefs();
+        loadSnippets();
         updateNextBtn();
 
         // Prev field button
@@ -252,6 +268,7 @@ const App = (() => {
             checkCursorBack();
             const activeEl = document.activeElement;
             if (activeEl === ta) {
+                checkFieldPicker(ta);
                 // Cancel pending auto-advance when cursor enters a field (e.g. DMO highlight)
                 if (isCursorInField(ta.value, ta.selectionStart)) {
                     clearTimeout(fieldAdv.timer);
@@ -300,6 +317,10 @@ const App = (() => {
             if (e.key === 'Escape') {
                 closeHistoryModal();
                 closeTemplateModal();
+                closeConvertModal();
+                closeBatchModal();
+                closeImportModal();
+                closeSnippetModal();
             }
         });
 
@@ -307,6 +328,7 @@ const App = (() => {
         const savedDraft = localStorage.getItem('grossapp-dictation-draft');
         if (savedDraft) {
             ta.value = savedDraft;
+            autoDetectFormat(savedDraft, 'the restored draft');
             updateFooter();
             updateBlockMap();
             refreshFieldCounter();
@@ -816,8 +838,11 @@ const App = (() => {
 
     function closeTemplateModal() {
         const overlay = document.getElementById('tmpl-modal-overlay');
-        if (overlay) overlay.style.display = 'none';
+        if (!overlay || overlay.style.display === 'none') return;
+        if (_tmplEditorDirty() && !confirm('Discard unsaved template changes?')) return;
+        overlay.style.display = 'none';
         _tmplSelectedIdx = null;
+        _tmplShowPane('preview');
     }
 
     async function _loadTemplateResults(q) {
@@ -830,6 +855,8 @@ const App = (() => {
             const resp = await API.templates.search(q, specimenId);
             const templates = resp?.data ?? [];
             _cachedTemplates = templates;
+            // Ticked templates keep their latest copy for export
+            for (const t of templates) if (_tmplChecked.has(t.id)) _tmplChecked.set(t.id, t);
             _renderTemplateCards(templates, q);
             // Auto-select first card if results exist
             if (templates.length > 0) {
@@ -860,15 +887,25 @@ const App = (() => {
             const uses  = t.use_count > 0 ? `${t.use_count}×` : 'new';
             const fields = t.placeholder_count ?? 0;
             const hints = (t.placeholder_hints ?? []).slice(0, 3).map(h => `<span class="tmpl-hint">${_esc(h)}</span>`).join('');
+            const ver   = t.version > 1 ? ` · v${t.version}` : '';
             return `<div class="tmpl-card" data-idx="${i}" onclick="App._tmplSelectCard(${i})" ondblclick="App.applyTemplate(${i})">
+                <input type="checkbox" class="tmpl-card-check" title="Select for export"
+                       ${_tmplChecked.has(t.id) ? 'checked' : ''}
+                       onclick="event.stopPropagation()" ondblclick="event.stopPropagation()"
+                       onchange="App.tmplToggleExport(${i}, this.checked)">
+                ${t.name ? `<div class="tmpl-card-name">${_esc(t.name)}</div>` : ''}
                 <div class="tmpl-card-spec">${_esc(spec)}</div>
-                <div class="tmpl-card-meta">${fields} fields · ${uses}</div>
+                <div class="tmpl-card-meta">${fields} fields · ${uses}${ver}</div>
                 ${hints ? `<div class="tmpl-card-hints">${hints}</div>` : ''}
             </div>`;
         }).join('');
     }
 
     function _selectTemplateCard(idx) {
+        if (_tmplEditor.mode === 'edit' && idx !== _tmplSelectedIdx) {
+            if (_tmplEditorDirty() && !confirm('Discard unsaved template changes?')) return;
+        }
+        _tmplShowPane('preview');
         _tmplSelectedIdx = idx;
         // Highlight selected card
         document.querySelectorAll('.tmpl-card').forEach((el, i) => {
@@ -893,12 +930,7 @@ const App = (() => {
             return;
         }
 
-        // Render with placeholder highlighting
-        const raw   = tmpl.raw_text || '';
-        // Escape HTML, then re-highlight placeholders
-        const html  = _esc(raw).replace(/\[([^\]]*)\]/g,
-            '<mark class="tmpl-ph">[$1]</mark>');
-        el.innerHTML = html;
+        el.innerHTML = _tmplHighlight(tmpl.raw_text || '');
         el.style.color = '';
         el.style.fontStyle = '';
         if (applyBtn) applyBtn.disabled = false;
@@ -907,6 +939,11 @@ const App = (() => {
         el.scrollTop = 0;
     }
 
+    // Escape HTML, then highlight placeholders
+    function _tmplHighlight(raw) {
+        return _esc(raw).replace(/\[([^\]]*)\]/g, '<mark class="tmpl-ph">[$1]</mark>');
+    }
+
     function _tmplSearchKeydown(e) {
         // Arrow keys navigate the card list
         const cards = document.querySelectorAll('.tmpl-card');
@@ -933,9 +970,9 @@ const App = (() => {
 
     function applyTemplate(idx) {
         const tmpl = _cachedTemplates[idx ?? _tmplSelectedIdx];
-        if (!tmpl) return;
+        if (!tmpl || _tmplEditor.mode === 'edit') return;
         const ta = document.getElementById('dictation');
-        ta.value = tmpl.raw_text || '';
+        ta.value = Cassette.resolveVariables(tmpl.raw_text || '', templateVariables(ta.value));
         ta.selectionStart = ta.selectionEnd = 0;
         ta.focus();
         ta.dispatchEvent(new Event('input', { bubbles: true }));
@@ -955,6 +992,548 @@ const App = (() => {
         toast(`Template applied — ${tmpl.placeholders ?? '?'} fields to fill`, 'blue');
     }
 
+    // ── Template editor ───────────────────────────────────────────────────────
+    // The Templates modal's right pane switches between three views:
+    //   preview  — read-only text of the selected card (default)
+    //   edit     — textarea for a new template or the next version of one
+    //   history  — saved versions, each diffed against the one before
+    // Saves go through API.templates.create / saveVersion, so an edit becomes
+    // version N+1 of the same template rather than a new checksum row.
+
+    const _tmplEditor = {
+        mode:     'preview',
+        creating: false,
+        original: '',     // editor text when opened, for the dirty check
+        versions: [],     // history view: [{ version, raw_text, saved_at }]
+        shown:    0,      // history view: index of the version being diffed
+    };
+
+    function _tmplEditorDirty() {
+        const ed = document.getElementById('tmpl-editor');
+        return _tmplEditor.mode === 'edit' && !!ed && ed.value !== _tmplEditor.original;
+    }
+
+    function _tmplShowPane(mode) {
+        _tmplEditor.mode = mode;
+        const show = (id, on) => { const el = document.getElementById(id); if (el) el.style.display = on ? '' : 'none'; };
+        show('tmpl-preview-text',  mode === 'preview');
+        show('tmpl-editor',        mode === 'edit');
+        show('tmpl-versions',      mode === 'history');
+        show('tmpl-preview-actions', mode === 'preview');
+        show('tmpl-edit-actions',  mode === 'edit');
+        show('tmpl-history-actions', mode === 'history');
+    }
+
+    function _tmplSelected() {
+        return _tmplSelectedIdx !== null ? _cachedTemplates[_tmplSelectedIdx] ?? null : null;
+    }
+
+    // Open the editor on a blank template (seeded from the dictation when it
+    // has fields) or on the selected one
+    function tmplEdit(creating) {
+        const tmpl = _tmplSelected();
+        if (!creating && !tmpl) return;
+        const text = document.getElementById('dictation').value;
+        const ed   = document.getElementById('tmpl-editor');
+        _tmplEditor.creating = !!creating;
+        _tmplEditor.original = creating ? (/\[[^\]]*\]/.test(text) ? text : '') : tmpl.raw_text || '';
+        ed.value = _tmplEditor.original;
+        document.getElementById('tmpl-edit-title').textContent = creating
+            ? 'New template'
+            : `Editing ${tmpl.name || tmpl.specimen_name || 'template'} — saves v${(tmpl.version || 1) + 1}`;
+        _tmplShowPane('edit');
+        setTimeout(() => ed.focus(), 30);
+    }
+
+    function tmplCancelEdit() {
+        if (_tmplEditorDirty() && !confirm('Discard unsaved template changes?')) return;
+        _tmplShowPane('preview');
+    }
+
+    async function tmplSave() {
+        const raw = document.getElementById('tmpl-editor').value.trim();
+        if (!raw) { toast('Template is empty', ''); return; }
+        const tmpl = _tmplSelected();
+        try {
+            let result;
+            if (_tmplEditor.creating) {
+                const name = prompt('Template name:', state.specimen?.name || '');
+                if (name === null) return;
+                result = await API.templates.create(state.specimen?.id ?? null, name.trim(), raw);
+                toast(`Template created: ${name.trim() || 'untitled'}`, 'green');
+            } else {
+                if (raw === (tmpl.raw_text || '').trim()) { _tmplShowPane('preview'); return; }
+                result = await API.templates.saveVersion(tmpl.id, raw);
+                toast(`Saved as version ${result.version}`, 'green');
+            }
+            _tmplEditor.original = document.getElementById('tmpl-editor').value;
+            _tmplShowPane('preview');
+            await _reloadTemplatesKeeping(result.id);
+        } catch (e) {
+            toast('Template save failed', '');
+            console.error(e);
+        }
+    }
+
+    async function tmplRename() {
+        const tmpl = _tmplSelected();
+        if (!tmpl) return;
+        const name = prompt('Rename template:', tmpl.name || tmpl.specimen_name || '');
+        if (name === null || !name.trim() || name.trim() === tmpl.name) return;
+        try {
+            await API.templates.rename(tmpl.id, name.trim());
+            toast(`Renamed to ${name.trim()}`, 'blue');
+            await _reloadTemplatesKeeping(tmpl.id);
+        } catch (e) {
+            toast('Rename failed', '');
+            console.error(e);
+        }
+    }
+
+    async function tmplRetire() {
+        const tmpl = _tmplSelected();
+        if (!tmpl) return;
+        if (!confirm(`Retire "${tmpl.name || tmpl.specimen_name || 'this template'}"? ` +
+                     'It will no longer appear in search; its versions are kept.')) return;
+        try {
+            await API.templates.retire(tmpl.id);
+            toast('Template retired', 'blue');
+            await _reloadTemplatesKeeping(null);
+        } catch (e) {
+            toast('Retire failed', '');
+            console.error(e);
+        }
+    }
+
+    // Re-run the current search and reselect template `id` if still listed
+    async function _reloadTemplatesKeeping(id) {
+        await _loadTemplateResults(document.getElementById('tmpl-search-input')?.value.trim() ?? '');
+        const idx = _cachedTemplates.findIndex(t => t.id === id);
+        if (idx >= 0) _selectTemplateCard(idx);
+    }
+
+    async function tmplHistory() {
+        const tmpl = _tmplSelected();
+        if (!tmpl) return;
+        const list = document.getElementById('tmpl-versions');
+        _tmplShowPane('history');
+        list.innerHTML = '<div class="tmpl-empty">Loading versions…</div>';
+        try {
+            _tmplEditor.versions = (await API.templates.versions(tmpl.id)) || [];
+        } catch (e) {
+            list.innerHTML = '<div class="tmpl-empty">Could not load versions.</div>';
+            console.warn('Template versions failed:', e);
+            return;
+        }
+        tmplShowVersion(0);
+    }
+
+    // History view: versions down the side, the chosen one diffed against
+    // the version before it
+    function tmplShowVersion(i) {
+        const list = document.getElementById('tmpl-versions');
+        const vs   = _tmplEditor.versions;
+        if (!vs.length) { list.innerHTML = '<div class="tmpl-empty">No saved versions.</div>'; return; }
+        _tmplEditor.shown = i;
+        const cur  = vs[i];
+        const prev = vs[i + 1];
+        const diff = prev ? diffLines(prev.raw_text || '', cur.raw_text || '') : null;
+        const body = diff
+            ? diff.map(d => d.type === '=' ? `<div class="tv-same">  ${_esc(d.text)}</div>`
+                : `<div class="${d.type === '-' ? 'cvt-minus' : 'cvt-plus'}">${d.type === '-' ? '−' : '+'} ${_esc(d.text)}</div>`).join('')
+            : `<div class="tv-same">${_tmplHighlight(cur.raw_text || '')}</div>`;
+        list.innerHTML = `
+            <div class="tv-list">${vs.map((v, k) => `
+                <div class="tv-item${k === i ? ' tv-item-selected' : ''}" onclick="App.tmplShowVersion(${k})">
+                    <span class="tv-ver">v${v.version}</span>
+                    <span class="tv-date">${_esc(v.saved_at ? new Date(v.saved_at).toLocaleString() : '')}</span>
+                </div>`).join('')}
+            </div>
+            <div class="tv-diff">
+                <div class="tv-diff-head">${prev ? `v${prev.version} → v${cur.version}` : `v${cur.version} (first version)`}</div>
+                ${body}
+            </div>`;
+        const restore = document.getElementById('tmpl-restore-btn');
+        if (restore) restore.disabled = i === 0;
+    }
+
+    // Save the version on show in the history view as the newest version
+    async function tmplRestoreVersion() {
+        const tmpl = _tmplSelected();
+        const v    = _tmplEditor.versions[_tmplEditor.shown];
+        if (!tmpl || !v || _tmplEditor.shown === 0) return;
+        if (!confirm(`Save v${v.version} again as the newest version?`)) return;
+        try {
+            const result = await API.templates.saveVersion(tmpl.id, v.raw_text);
+            toast(`v${v.version} restored as version ${result.version}`, 'green');
+            _tmplShowPane('preview');
+            await _reloadTemplatesKeeping(tmpl.id);
+        } catch (e) {
+            toast('Restore failed', '');
+            console.error(e);
+        }
+    }
+
+    // Line diff of `a` → `b` (longest common subsequence):
+    // [{ type: '=' | '-' | '+', text }]
+    function diffLines(a, b) {
+        const x = a.split('\n'), y = b.split('\n');
+        const n = x.length, m = y.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        const out = [];
+        let i = 0, j = 0;
+        while (i < n && j < m) {
+            if (x[i] === y[j])                   { out.push({ type: '=', text: x[i] }); i++; j++; }
+            else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ type: '-', text: x[i++] });
+            else                                 out.push({ type: '+', text: y[j++] });
+        }
+        while (i < n) out.push({ type: '-', text: x[i++] });
+        while (j < m) out.push({ type: '+', text: y[j++] });
+        return out;
+    }
+
+    // ── Snippets ──────────────────────────────────────────────────────────────
+    // Reusable paragraphs (lymph node search, inking scheme…) inserted at the
+    // cursor rather than replacing the dictation. Each has a short trigger:
+    // type it and press Alt+S to expand, or Alt+S on its own to pick from the
+    // library. {{variables}} resolve as in templates and the snippet's [fields]
+    // join Next Field. Stored locally in grossapp-snippets.
+
+    let _snippets      = [];     // [{ id, trigger, text }]
+    let _snippetEditId = null;   // snippet loaded into the form, null = new
+
+    function loadSnippets() {
+        try { _snippets = JSON.parse(localStorage.getItem('grossapp-snippets') || '[]'); } catch { _snippets = []; }
+    }
+
+    function _persistSnippets() {
+        try { localStorage.setItem('grossapp-snippets', JSON.stringify(_snippets)); } catch {}
+    }
+
+    // Alt+S: expand the trigger just before the cursor, else open the library
+    function expandSnippet() {
+        const ta  = document.getElementById('dictation');
+        const pos = ta.selectionStart;
+        const m   = ta.selectionStart === ta.selectionEnd && ta.value.substring(0, pos).match(/[;\/]?([\w-]+)$/);
+        const sn  = m && _snippets.find(s => s.trigger.toLowerCase() === m[1].toLowerCase());
+        if (!sn) { openSnippetModal(); return; }
+        insertSnippetText(sn, pos - m[0].length, pos);
+    }
+
+    // Put snippet `sn` in place of text [start, end) and go to its first field
+    function insertSnippetText(sn, start, end) {
+        const ta   = document.getElementById('dictation');
+        const text = ta.value;
+        let body   = Cassette.resolveVariables(sn.text, templateVariables(text.substring(0, start)));
+        // A multi-line snippet starts on its own line
+        if (body.includes('\n') && start > 0 && text[start - 1] !== '\n') body = '\n' + body;
+
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        ta.value = text.substring(0, start) + body + text.substring(end);
+        ta.selectionStart = ta.selectionEnd = start + body.length;
+        ta.focus();
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        recordSnapshot('snippet');
+
+        const first = findAllFields(ta.value).find(f => f.start >= start && f.end <= start + body.length);
+        fieldAdv.anchor = -1;
+        if (first) goToNextField(first.start);
+        toast(`Snippet: ${sn.trigger}`, 'blue');
+    }
+
+    function insertSnippet(id) {
+        const sn = _snippets.find(s => s.id === id);
+        if (!sn) return;
+        const ta = document.getElementById('dictation');
+        closeSnippetModal();
+        insertSnippetText(sn, ta.selectionStart, ta.selectionEnd);
+    }
+
+    function openSnippetModal() {
+        const overlay = document.getElementById('snippet-modal-overlay');
+        if (!overlay) return;
+        overlay.style.display = 'flex';
+        // Seed a new snippet from the dictation's selection, if any
+        const ta  = document.getElementById('dictation');
+        const sel = ta.value.substring(ta.selectionStart, ta.selectionEnd);
+        _fillSnippetForm(null, sel.includes(' ') ? sel : '');
+        renderSnippetList();
+    }
+
+    function closeSnippetModal() {
+        const overlay = document.getElementById('snippet-modal-overlay');
+        if (overlay) overlay.style.display = 'none';
+    }
+
+    function renderSnippetList() {
+        const list = document.getElementById('snippet-list');
+        if (!list) return;
+        list.innerHTML = _snippets.length
+            ? _snippets.map(s => `
+                <div class="snip-row">
+                  <span class="snip-trigger">${_esc(s.trigger)}</span>
+                  <span class="snip-text" title="${_esc(s.text)}">${_esc(s.text.replace(/\s+/g, ' '))}</span>
+                  <span class="snip-actions">
+                    <button class="btn" onmousedown="event.preventDefault()" onclick="App.insertSnippet('${s.id}')">Insert</button>
+                    <button class="btn" onmousedown="event.preventDefault()" onclick="App.editSnippet('${s.id}')">Edit</button>
+                    <button class="btn danger" onmousedown="event.preventDefault()" onclick="App.deleteSnippet('${s.id}')">✕</button>
+                  </span>
+                </div>`).join('')
+            : '<div class="hst-empty">No snippets yet — add one below</div>';
+    }
+
+    function _fillSnippetForm(sn, text = '') {
+        _snippetEditId = sn ? sn.id : null;
+        document.getElementById('snippet-trigger').value = sn ? sn.trigger : '';
+        document.getElementById('snippet-text').value    = sn ? sn.text : text;
+        document.getElementById('btn-snippet-save').textContent = sn ? 'Update snippet' : 'Add snippet';
+    }
+
+    function editSnippet(id) {
+        const sn = _snippets.find(s => s.id === id);
+        if (sn) _fillSnippetForm(sn);
+    }
+
+    function saveSnippet() {
+        const trigger = document.getElementById('snippet-trigger').value.trim();
+        const text    = document.getElementById('snippet-text').value.replace(/\s+$/, '');
+        if (!/^[\w-]+$/.test(trigger)) { toast('Trigger: letters, digits, - or _ only', ''); return; }
+        if (!text.trim())             { toast('Snippet text is empty', ''); return; }
+        const clash = _snippets.find(s => s.trigger.toLowerCase() === trigger.toLowerCase() && s.id !== _snippetEditId);
+        if (clash) { toast(`Trigger "${trigger}" is already used`, ''); return; }
+
+        const sn = _snippets.find(s => s.id === _snippetEditId);
+        if (sn) Object.assign(sn, { trigger, text });
+        else    _snippets.push({ id: 's' + Date.now().toString(36), trigger, text });
+        _persistSnippets();
+        _fillSnippetForm(null);
+        renderSnippetList();
+        toast(`Snippet saved — type ${trigger} then Alt+S`, 'green');
+    }
+
+    function deleteSnippet(id) {
+        const sn = _snippets.find(s => s.id === id);
+        if (!sn || !confirm(`Delete snippet "${sn.trigger}"?`)) return;
+        _snippets = _snippets.filter(s => s.id !== id);
+        if (_snippetEditId === id) _fillSnippetForm(null);
+        _persistSnippets();
+        renderSnippetList();
+    }
+
+    // ── Template bundles (import / export) ────────────────────────────────────
+    // A bundle is a JSON file of templates to share between accounts:
+    //   { format: 'grossapp-templates', version: 1, exported_at,
+    //     templates: [{ name, specimen_name, raw_text, checksum, placeholders, use_count }] }
+    // On import each entry is checked against this account's templates by
+    // checksum of its text: identical ones are skipped, ones whose name or
+    // specimen matches a template with different text go to review as a
+    // conflict (skip / save as a new version / import as a copy).
+
+    const BUNDLE_FORMAT = 'grossapp-templates';
+
+    const _tmplChecked = new Map();   // template id → template, ticked for export across searches
+    let   _importPlan   = [];         // [{ entry, status, existing, action }]
+
+    function tmplToggleExport(idx, on) {
+        const t = _cachedTemplates[idx];
+        if (!t) return;
+        if (on) _tmplChecked.set(t.id, t); else _tmplChecked.delete(t.id);
+        const btn = document.getElementById('tmpl-export-btn');
+        if (btn) btn.textContent = _tmplChecked.size ? `Export (${_tmplChecked.size})` : 'Export';
+    }
+
+    // The boilerplate reception sentence, whose initials and site change per patient
+    const RECEPTION_RE = /The specimen is received in a container labelled with the patient['\u2019]s name[^\n]*?specimen site\s+['\u2018\u201c"][^'\u2019\u201d"\n]*['\u2019\u201d"]\.?/gi;
+
+    // SHA-256 of the template text as the server computes it: line endings and
+    // outer space normalised, reception line replaced by a canonical placeholder
+    async function templateChecksum(raw) {
+        const norm  = String(raw || '').replace(/\r\n?/g, '\n').replace(RECEPTION_RE, '[reception]').trim();
+        const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(norm));
+        return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function exportTemplates() {
+        // Ticked cards, else the one selected
+        const chosen = _tmplChecked.size
+            ? [..._tmplChecked.values()]
+            : [_tmplSelected()].filter(Boolean);
+        if (!chosen.length) { toast('Tick the templates to export', ''); return; }
+        const bundle = {
+            format:      BUNDLE_FORMAT,
+            version:     1,
+            exported_at: new Date().toISOString(),
+            templates:   await Promise.all(chosen.map(async t => ({
+                name:          t.name || null,
+                specimen_name: t.specimen_name || null,
+                raw_text:      t.raw_text || '',
+                checksum:      t.checksum || await templateChecksum(t.raw_text),
+                placeholders:  t.placeholder_hints ?? parseTemplateFields(t.raw_text || '').map(f => f.hint),
+                use_count:     t.use_count ?? 0
+            })))
+        };
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const a    = document.createElement('a');
+        a.href     = URL.createObjectURL(blob);
+        a.download = `grossapp-templates-${bundle.exported_at.slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        toast(`Exported ${chosen.length} template${chosen.length !== 1 ? 's' : ''}`, 'green');
+    }
+
+    // File input change → parse, classify against this account, open review
+    async function importTemplates(e) {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch {
+            toast('Not a valid JSON file', '');
+            return;
+        }
+        if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.templates)) {
+            toast('Not a template bundle', '');
+            return;
+        }
+        let existing;
+        try {
+            existing = await API.templates.list() ?? [];
+        } catch (err) {
+            toast('Could not load your templates to compare', '');
+            console.error(err);
+            return;
+        }
+        // Keyed by our own checksum and the server's, which should agree
+        const sums = new Map();
+        for (const t of existing) {
+            sums.set(await templateChecksum(t.raw_text), t);
+            if (t.checksum) sums.set(t.checksum, t);
+        }
+
+        const key = s => String(s || '').trim().toLowerCase();
+        _importPlan = [];
+        for (const entry of bundle.templates.filter(t => t && typeof t.raw_text === 'string' && t.raw_text.trim())) {
+            // Trust our own checksum over the file's
+            const sum = await templateChecksum(entry.raw_text);
+            if (sums.has(sum)) {
+                _importPlan.push({ entry, status: 'duplicate', existing: sums.get(sum), action: 'skip' });
+                continue;
+            }
+            const clash = existing.find(t => entry.name
+                ? key(t.name) === key(entry.name)
+                : !t.name && key(t.specimen_name) === key(entry.specimen_name));
+            _importPlan.push(clash
+                ? { entry, status: 'conflict', existing: clash, action: 'skip' }
+                : { entry, status: 'new', existing: null, action: 'create' });
+            sums.set(sum, null);   // repeated entries in one bundle import once
+        }
+        openImportModal();
+    }
+
+    function openImportModal() {
+        const overlay = document.getElementById('import-modal-overlay');
+        if (!overlay) return;
+        overlay.style.display = 'flex';
+        renderImportReview();
+    }
+
+    function closeImportModal() {
+        const overlay = document.getElementById('import-modal-overlay');
+        if (overlay) overlay.style.display = 'none';
+    }
+
+    function renderImportReview() {
+        const list   = document.getElementById('import-review');
+        const btn    = document.getElementById('btn-import-apply');
+        const count  = _importPlan.filter(p => p.action !== 'skip').length;
+        btn.disabled    = count === 0;
+        btn.textContent = count ? `Import ${count}` : 'Nothing to import';
+        if (!_importPlan.length) { list.innerHTML = '<div class="hst-empty">The bundle has no templates</div>'; return; }
+        list.innerHTML = _importPlan.map((p, i) => {
+            const e    = p.entry;
+            const meta = `${_esc(e.specimen_name || '—')} · ${(e.placeholders ?? []).length} fields · ${e.use_count ?? 0}×`;
+            const ctrl = p.status === 'conflict'
+                ? `<select onchange="App.setImportAction(${i}, this.value)">
+                     <option value="skip"${p.action === 'skip' ? ' selected' : ''}>Keep mine</option>
+                     <option value="version"${p.action === 'version' ? ' selected' : ''}>Save as new version of mine</option>
+                     <option value="copy"${p.action === 'copy' ? ' selected' : ''}>Import as a copy</option>
+                   </select>`
+                : `<span class="imp-note">${p.status === 'duplicate' ? 'already have it' : 'will be added'}</span>`;
+            const diff = p.status === 'conflict'
+                ? `<div class="imp-diff">${diffLines(p.existing.raw_text || '', e.raw_text).filter(d => d.type !== '=')
+                    .map(d => `<div class="${d.type === '-' ? 'cvt-minus' : 'cvt-plus'}">${d.type === '-' ? '−' : '+'} ${_esc(d.text)}</div>`).join('')}</div>`
+                : '';
+            return `<div class="imp-row imp-${p.status}">
+                <span class="imp-status">${p.status}</span>
+                <div class="imp-main">
+                  <div class="imp-name">${_esc(e.name || e.specimen_name || 'Untitled')}</div>
+                  <div class="imp-meta">${meta}</div>
+                  ${diff}
+                </div>
+                ${ctrl}
+              </div>`;
+        }).join('');
+    }
+
+    function setImportAction(idx, action) {
+        if (_importPlan[idx]) _importPlan[idx].action = action;
+        renderImportReview();
+    }
+
+    async function applyImport() {
+        const todo = _importPlan.filter(p => p.action !== 'skip');
+        if (!todo.length) return;
+        const specimenIds = new Map();
+        let done = 0, failed = 0;
+        for (const p of todo) {
+            const e = p.entry;
+            try {
+                if (p.action === 'version') {
+                    await API.templates.saveVersion(p.existing.id, e.raw_text);
+                } else {
+                    let specimenId = null;
+                    if (e.specimen_name) {
+                        const sk = normalizeSpecimenName(e.specimen_name);
+                        if (!specimenIds.has(sk)) specimenIds.set(sk, (await API.specimens.upsert(sk)).id);
+                        specimenId = specimenIds.get(sk);
+                    }
+                    const name = p.action === 'copy'
+                        ? `${e.name || e.specimen_name || 'Template'} (imported)`
+                        : e.name || e.specimen_name || '';
+                    await API.templates.create(specimenId, name, e.raw_text);
+                }
+                done++;
+            } catch (err) {
+                failed++;
+                console.error('Template import failed:', err);
+            }
+        }
+        closeImportModal();
+        toast(`Imported ${done} template${done !== 1 ? 's' : ''}` + (failed ? ` · ${failed} failed` : ''), failed ? '' : 'green');
+        await _reloadTemplatesKeeping(null);
+    }
+
+    // {{initials}} / {{site}} / {{letter}} for a template replacing `text`:
+    // taken from its last specimen header and reception line, else the case
+    function templateVariables(text) {
+        const heads = text.split('\n').map(l => Cassette.parseHeaderToken(l)).filter(h => h !== null);
+        return {
+            initials: Cassette.findInitials(text),
+            site:     Cassette.findSite(text) || state.specimen?.name || null,
+            letter:   heads.length ? heads[heads.length - 1] : Cassette.specimenHeaderLabel(0).replace(/\.$/, '')
+        };
+    }
+
     // ── Similar cases sidebar render ──────────────────────────────────────────
     // Called by fetchSuggestions after the parallel similarity request settles.
 
@@ -989,9 +1568,7 @@ const App = (() => {
         }).join('');
     }
 
-    function _esc(s) {
-        return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
-    }
+    const _esc = Cassette.escapeHtml;
 
     // ── Paste / template detection ────────────────────────────────────────────
     async function detectFromPaste() {
@@ -999,6 +1576,8 @@ const App = (() => {
         const text = ta.value;
         if (!text.trim()) return;
 
+        autoDetectFormat(text, 'the pasted text');
+
         // ── Rapid mode: save template and apply first specimen immediately ─────
         // Only save/apply when no template is set yet — prevents mid-fill paste
         // events from overwriting the saved blank template with filled content.
@@ -1039,12 +1618,12 @@ const App = (() => {
 
         document.getElementById('char-count').textContent = `${text.length} chars`;
 
-        // Block count using cassette parser — handles both LN and NL formats
+        // Block count using cassette parser — handles every registered format
         const lines      = text.split('\n');
         const blockCount = lines.filter(l => Cassette.parseBlockLine(l) !== null).length;
         document.getElementById('block-count').textContent = `${blockCount} block${blockCount !== 1 ? 's' : ''}`;
 
-        // Next block preview using cassette's own nextPrefix (handles both formats)
+        // Next block preview using cassette's own nextPrefix (format-aware)
         const result  = Cassette.findLastBlock(ta);
         const preview = document.getElementById('next-block-preview');
         if (result) {
@@ -1055,28 +1634,207 @@ const App = (() => {
     }
 
     function updateBlockMap() {
+        renderFieldOutline();   // same triggers as the block map
         const ta     = document.getElementById('dictation');
         const map    = document.getElementById('block-map');
         const blocks = Cassette.buildBlockMap(ta.value);
+        const lint   = Cassette.lintBlocks(ta.value);
 
-        if (blocks.length === 0) {
+        if (blocks.length === 0 && lint.length === 0) {
             map.innerHTML = '<span style="font-size:11px;color:var(--muted2);font-style:italic">No blocks detected</span>';
             return;
         }
 
-        map.innerHTML = blocks.map(b => {
+        // Live lint findings — click to jump to the offending line
+        const lintHtml = lint.map(f => `<div class="block-row block-lint lint-${f.type}"
+                onclick="App.jumpToLine(${f.lineIndex})"
+                title="Line ${f.lineIndex + 1} \u2014 click to jump">
+                <span class="block-lbl">${_esc(f.label)}</span>
+                <span class="block-txt">${_esc(f.message)}</span>
+            </div>`).join('');
+
+        // Flag typed summaries of sections that no longer match the block lines
+        const stale = Cassette.buildSectionSummaries(ta.value).filter(sec => sec.stale);
+        const warn  = stale.length
+            ? `<div class="block-row block-warn" onclick="App.generateSummaries()"
+                   title="Click to regenerate the summary of sections from the block lines">
+                <span class="block-lbl">\u26a0</span>
+                <span class="block-txt">Summary of sections out of date: ${stale.map(sec => _esc(sec.specimen)).join(', ')}</span>
+            </div>`
+            : '';
+
+        // Block rows — click jumps, double-click the text edits it, and
+        // top-level blocks drag to reorder within their specimen
+        map.innerHTML = lintHtml + warn + blocks.map(b => {
             const labelStyle = b.isRange
                 ? 'color:var(--yellow);font-weight:500'
                 : b.indented
                     ? 'color:var(--muted);font-weight:400'
                     : 'color:var(--green);font-weight:500';
-            return `<div class="block-row">
-                <span class="block-lbl" style="${labelStyle}">${b.label}</span>
-                <span class="block-txt">${b.desc}</span>
+            const drag = b.indented ? '' : `draggable="true"
+                ondragstart="App._blockDragStart(event, ${b.lineIndex})"
+                ondragover="App._blockDragOver(event)"
+                ondragleave="this.classList.remove('block-drop', 'block-drop-after')"
+                ondrop="App._blockDrop(event, ${b.lineIndex})"
+                ondragend="App._blockDragEnd()"`;
+            return `<div class="block-row block-item" data-line="${b.lineIndex}" ${drag}
+                onclick="App.jumpToLine(${b.lineIndex})"
+                title="Click to jump — double-click the text to edit${b.indented ? '' : ' — drag to reorder'}">
+                <span class="block-lbl" style="${labelStyle}">${_esc(b.label)}</span>
+                <span class="block-txt" ondblclick="App.editBlockDesc(${b.lineIndex})">${_esc(b.desc)}</span>
             </div>`;
         }).join('');
 
-        map.scrollTop = map.scrollHeight;
+        // Keep findings visible; otherwise follow the newest block
+        map.scrollTop = lint.length ? 0 : map.scrollHeight;
+    }
+
+    // ── Block map editing ─────────────────────────────────────────────────────
+
+    let _blockDragLine = -1;
+
+    // Write an edited dictation back as one history step, keeping the cursor
+    // on `lineIndex` (or where it was if omitted)
+    function commitBlockMapEdit(text, label, lineIndex) {
+        const ta = document.getElementById('dictation');
+        if (text === ta.value) return;
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        ta.value = text;
+        try { localStorage.setItem('grossapp-dictation-draft', text); } catch {}
+        recordSnapshot(label);
+        updateFooter();
+        updateBlockMap();
+        checkCompletion();
+        refreshFieldCounter();
+        updateCopyBtn();
+        if (lineIndex !== undefined) jumpToLine(lineIndex);
+    }
+
+    function editBlockDesc(lineIndex) {
+        const row = document.querySelector(`#block-map .block-item[data-line="${lineIndex}"]`);
+        const txt = row && row.querySelector('.block-txt');
+        if (!txt || txt.querySelector('input')) return;
+
+        const input = document.createElement('input');
+        input.className = 'block-edit';
+        input.value     = txt.textContent;
+        txt.textContent = '';
+        txt.appendChild(input);
+        row.draggable = false;
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            const ta = document.getElementById('dictation');
+            if (save) {
+                commitBlockMapEdit(Cassette.setBlockDescription(ta.value, lineIndex, input.value),
+                    'block edit', lineIndex);
+            }
+            updateBlockMap(); // redraw the row either way
+        };
+        input.addEventListener('click',   (e) => e.stopPropagation());
+        input.addEventListener('blur',    () => finish(true));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter')  { e.preventDefault(); finish(true); }
+            if (e.key === 'Escape') { e.preventDefault(); e.stopPropagation(); finish(false); }
+        });
+    }
+
+    function _blockDragStart(e, lineIndex) {
+        _blockDragLine = lineIndex;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(lineIndex)); // Firefox needs data to drag
+        e.currentTarget.classList.add('block-dragging');
+    }
+
+    function _blockDragOver(e) {
+        if (_blockDragLine < 0) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        // Moving down lands below the target, moving up lands above it
+        const below = Number(e.currentTarget.dataset.line) > _blockDragLine;
+        e.currentTarget.classList.add(below ? 'block-drop-after' : 'block-drop');
+    }
+
+    function _blockDrop(e, lineIndex) {
+        e.preventDefault();
+        const from = _blockDragLine;
+        _blockDragLine = -1;
+        if (from < 0 || from === lineIndex) { updateBlockMap(); return; }
+        const ta     = document.getElementById('dictation');
+        const result = Cassette.moveBlock(ta.value, from, lineIndex);
+        if (!result) {
+            updateBlockMap();
+            toast('Blocks can only be reordered within the same specimen', '');
+            return;
+        }
+        commitBlockMapEdit(result.text, 'block move', result.lineIndex);
+        toast('Blocks reordered and renumbered', 'blue');
+    }
+
+    function _blockDragEnd() {
+        _blockDragLine = -1;
+        document.querySelectorAll('#block-map .block-dragging, #block-map .block-drop, #block-map .block-drop-after')
+            .forEach(el => el.classList.remove('block-dragging', 'block-drop', 'block-drop-after'));
+    }
+
+    // Put the cursor on line `lineIndex` of the dictation, selecting its block
+    // label (if any) so a corrected label can be typed straight over it.
+    function jumpToLine(lineIndex) {
+        const ta    = document.getElementById('dictation');
+        const lines = ta.value.split('\n');
+        if (lineIndex < 0 || lineIndex >= lines.length) return;
+        let start = 0;
+        for (let i = 0; i < lineIndex; i++) start += lines[i].length + 1;
+        const m = lines[lineIndex].match(/^(\s*)([A-Z0-9]+(?:[-\u2013\u2014][A-Z0-9]+)?)/);
+        const selStart = start + (m ? m[1].length : 0);
+        const selEnd   = m ? selStart + m[2].length : selStart;
+        ta.focus();
+        ta.setSelectionRange(selStart, selEnd);
+        const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 20;
+        ta.scrollTop = Math.max(0, lineIndex * lineHeight - ta.clientHeight / 3);
+    }
+
+    // ── Summary of sections ───────────────────────────────────────────────────
+    // Writes/refreshes one "Summary of sections: …" line per specimen from the
+    // block lines (Cassette.applySectionSummaries), as a single history step.
+    function generateSummaries() {
+        const ta      = document.getElementById('dictation');
+        const oldText = ta.value;
+        const { text, updated, insertedAt } = Cassette.applySectionSummaries(oldText);
+        if (!updated.length) {
+            toast(Cassette.buildSectionSummaries(oldText).length
+                ? 'Summary of sections already up to date'
+                : 'No blocks to summarise', '');
+            return;
+        }
+
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+
+        // Keep the cursor on its line: every inserted line above it shifts it down one
+        const lineIdx  = oldText.substring(0, ta.selectionStart).split('\n').length - 1;
+        const col      = ta.selectionStart - (oldText.lastIndexOf('\n', ta.selectionStart - 1) + 1);
+        const newLines = text.split('\n');
+        const newIdx   = lineIdx + insertedAt.filter(at => at <= lineIdx).length;
+        let pos = 0;
+        for (let i = 0; i < newIdx; i++) pos += newLines[i].length + 1;
+        pos += Math.min(col, newLines[newIdx].length);
+
+        ta.value = text;
+        ta.selectionStart = ta.selectionEnd = pos;
+        ta.focus();
+        try { localStorage.setItem('grossapp-dictation-draft', text); } catch {}
+        recordSnapshot('summary');
+        updateFooter();
+        updateBlockMap();
+        checkCompletion();
+        refreshFieldCounter();
+        toast(`Summary of sections updated: ${updated.join(', ')}`, 'blue');
     }
 
     // ── Specimen name normalizer ──────────────────────────────────────────────
@@ -1366,19 +2124,113 @@ const App = (() => {
             'pre-undo': 'pre-undo',
             'new case': 'new case',
             'new specimen': 'new specimen',
+            reflow:     'renumber blocks',
+            'block undo': 'undo block insert',
+            'rapid-swap': 'rapid template swap',
+            'rapid-batch': 'rapid batch setup',
+            'carry-over': 'same as previous',
+            choice:     'choice picked',
+            'not applicable': 'not applicable (removed)',
+            snippet:    'snippet inserted',
+            measurement: 'measurement',
+            suggestion: 'earlier value',
+            'specimen header': 'specimen header',
+            'block edit': 'edit block text',
+            'block move': 'reorder blocks',
+            convert:    'convert format',
+            summary:    'summary of sections',
         })[label] || label;
     }
 
     // ── Cassette button handlers ──────────────────────────────────────────────
     function newBlock() {
         const ta = document.getElementById('dictation');
-        Cassette.handleNewBlock(ta); // fires cassette:advance which calls recordSnapshot('block')
+        // Placeholder lines fire cassette:advance (snapshot + reflow there);
+        // a plain insert does not, so reflow and snapshot here. Both are no-ops
+        // when the advance handler already ran.
+        if (Cassette.handleNewBlock(ta)) {
+            applyReflow(cursorLineIndex(ta) + 1);
+            recordSnapshot('block');
+        }
         fieldAdv.anchor = -1;        // cancel pending auto-advance so cursor stays at block label
         clearTimeout(fieldAdv.timer);
         updateFooter();
         updateBlockMap();
     }
 
+    // ── Block reflow (renumber) ───────────────────────────────────────────────
+    // Automatic after any cassette insert (subsequent lines only), and on demand
+    // via the Renumber button for the whole document. Deletions are not reflowed
+    // automatically — backspacing through "A12" would otherwise renumber on the
+    // intermediate "A1".
+
+    function cursorLineIndex(ta) {
+        return ta.value.substring(0, ta.selectionStart).split('\n').length - 1;
+    }
+
+    // Map a cursor position across a reflow. Reflow only rewrites labels at the
+    // start of lines and never changes the line count, so keep the same line
+    // and shift the column by that line's length change.
+    function mapPosAcrossReflow(oldText, newText, pos) {
+        const oldLines = oldText.split('\n');
+        const newLines = newText.split('\n');
+        const lineIdx  = oldText.substring(0, pos).split('\n').length - 1;
+        const col      = pos - (oldText.lastIndexOf('\n', pos - 1) + 1);
+        const delta    = newLines[lineIdx].length - oldLines[lineIdx].length;
+        const newCol   = col === 0 ? 0 : Math.max(0, Math.min(newLines[lineIdx].length, col + delta));
+        let start = 0;
+        for (let i = 0; i < lineIdx; i++) start += newLines[i].length + 1;
+        return start + newCol;
+    }
+
+    // Rewrite block labels from `fromLine` down, preserving the selection.
+    // Returns the number of lines changed. Caller records the snapshot.
+    function applyReflow(fromLine) {
+        const ta = document.getElementById('dictation');
+        const oldText = ta.value;
+        const { text, changed } = Cassette.reflowBlocks(oldText, fromLine);
+        if (!changed) return 0;
+        const selStart = mapPosAcrossReflow(oldText, text, ta.selectionStart);
+        const selEnd   = mapPosAcrossReflow(oldText, text, ta.selectionEnd);
+        ta.value = text;
+        ta.setSelectionRange(selStart, selEnd);
+        try { localStorage.setItem('grossapp-dictation-draft', text); } catch {}
+        return changed;
+    }
+
+    function reflowBlocks() {
+        // Capture pending edits first so the renumber is a single undo step
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        const changed = applyReflow(0);
+        if (!changed) { toast('Block labels already in sequence', ''); return; }
+        recordSnapshot('reflow');
+        updateFooter();
+        updateBlockMap();
+        refreshFieldCounter();
+        toast(`Renumbered ${changed} block line${changed !== 1 ? 's' : ''}`, 'blue');
+    }
+
+    // Insert the next specimen's reception line ("B. The specimen is received…")
+    // and land on its first field — normally the site
+    function addSpecimen() {
+        const ta = document.getElementById('dictation');
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        const result = Cassette.handleNewSpecimen(ta);
+        if (!result) return;
+        try { localStorage.setItem('grossapp-dictation-draft', ta.value); } catch {}
+        recordSnapshot('specimen header');
+        updateFooter();
+        updateBlockMap();
+        checkCompletion();
+        updateCopyBtn();
+        fieldAdv.anchor = -1;
+        clearTimeout(fieldAdv.timer);
+        goToNextField(result.lineStart);
+        toast(`Specimen ${result.specimen}`, 'blue');
+    }
+
     function newSpecimen() {
         if (document.getElementById('dictation').value &&
             !confirm('Clear gross and specimen for next specimen?\nClinical history will be kept.')) return;
@@ -1394,6 +2246,10 @@ const App = (() => {
 
         state.specimen    = null;
         state.template_id = null;
+        state.template_raw = null;
+        _fillValues       = {};
+        _typedChoice      = null;
+        _outlineFlagged   = false;
         state.termsShown  = [];
         state.termsUsed   = [];
         state.submitted   = false;
@@ -1414,6 +2270,7 @@ const App = (() => {
         updateFieldCounter(0, 0);
 
         updateFooter();
+        renderFieldOutline();
         updateHeaderContext();
         updateNextBtn();
         updateFieldAdvStatus();
@@ -1431,17 +2288,43 @@ const App = (() => {
         redoAction();
     }
 
+    // Walk back through cassette auto-inserts only (Cassette.handleUndo),
+    // newest first, regardless of where the cursor is or what was typed since.
+    function undoBlock() {
+        const ta = document.getElementById('dictation');
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        const op = Cassette.handleUndo(ta);
+        if (!op) { toast('No cassette insert to undo', ''); return; }
+        try { localStorage.setItem('grossapp-dictation-draft', ta.value); } catch {}
+        recordSnapshot('block undo');
+        updateFooter();
+        updateBlockMap();
+        refreshFieldCounter();
+        updateCopyBtn();
+        const label = op.inserted.trim();
+        toast(op.wasPlaceholder ? `Restored placeholder (was ${label})` : `Removed ${label}`, 'blue');
+    }
+
     // ── Case submission ───────────────────────────────────────────────────────
     async function submitCase() {
         if (Rapid.isActive()) {
+            // Copy for APIS now; the database gets the specimens later, in one batch
             copyToClipboard();
-            toast('Rapid mode — copied to clipboard. Paste into APIS.', 'green');
+            const { queued, skipped } = Rapid.queueDocument(document.getElementById('dictation').value, rapidCaseContext());
+            const total = Rapid.getQueue().length;
+            toast(`Rapid mode — copied to clipboard. ${queued} specimen${queued !== 1 ? 's' : ''} queued` +
+                (skipped ? ` (${skipped} with unfilled fields skipped)` : '') +
+                (total ? ` · ${total} waiting` : ''), 'green');
             return;
         }
         if (!state.specimen) { toast('Select a specimen first', ''); return; }
         const gross = document.getElementById('dictation').value.trim();
         if (gross.length < 10) { toast('Gross description is too short', ''); return; }
         if (state.submitted) { toast('Already submitted — start a New Case', ''); return; }
+        const unfilled = flagUnfilledFields();
+        const summary  = unfilledSummary(unfilled);
+        if (summary && !confirm(`${summary}${unfilled.open ? ' (highlighted in Fields)' : ''}. Submit anyway?`)) return;
 
         try {
             await API.cases.submit({
@@ -1450,7 +2333,8 @@ const App = (() => {
                 gross_text:   gross,
                 histories:    state.histories.map(h => ({ id: h.id, is_primary: h.is_primary ? 1 : 0 })),
                 terms_shown:  state.termsShown,
-                terms_used:   state.termsUsed
+                terms_used:   state.termsUsed,
+                placeholder_fills: state.template_raw ? extractFills(state.template_raw, gross) : []
             });
             state.submitted = true;
             toast('Case submitted ✓', 'green');
@@ -1465,14 +2349,16 @@ const App = (() => {
     function copyToClipboard() {
         const text = document.getElementById('dictation').value;
         if (!text) { toast('Nothing to copy', ''); return; }
+        const summary = unfilledSummary(flagUnfilledFields());
+        const msg     = summary ? `Copied \u2014 ${summary}` : 'Copied to clipboard';
         navigator.clipboard.writeText(text).then(() => {
-            toast('Copied to clipboard', 'green');
+            toast(msg, summary ? '' : 'green');
         }).catch(() => {
             // Fallback for older browsers
             const ta = document.getElementById('dictation');
             ta.select();
             document.execCommand('copy');
-            toast('Copied to clipboard', 'green');
+            toast(msg, summary ? '' : 'green');
         });
     }
 
@@ -1481,6 +2367,13 @@ const App = (() => {
         if (document.getElementById('dictation').value &&
             !confirm('Start a new case? Current content will be cleared.')) return;
 
+        // Rapid mode: finished specimens of the outgoing case wait in the queue
+        if (Rapid.isActive()) {
+            const text = document.getElementById('dictation').value;
+            Rapid.closeSpecimen(text);
+            Rapid.queueDocument(text, rapidCaseContext());
+        }
+
         document.getElementById('dictation').value = '';
         document.getElementById('specimen-input').value = '';
         document.getElementById('history-input').value = '';
@@ -1493,6 +2386,10 @@ const App = (() => {
         state.specimen    = null;
         state.histories   = [];
         state.template_id = null;
+        state.template_raw = null;
+        _fillValues       = {};
+        _typedChoice      = null;
+        _outlineFlagged   = false;
         state.termsShown  = [];
         state.termsUsed   = [];
         state.submitted   = false;
@@ -1518,6 +2415,7 @@ const App = (() => {
         updateFieldCounter(0, 0);
 
         updateFooter();
+        renderFieldOutline();
         updateHeaderContext();
         updateNextBtn();
         updateFieldAdvStatus();
@@ -1624,19 +2522,101 @@ const App = (() => {
 
     // ── Format toggle ─────────────────────────────────────────────────────────
     function applyFormat(fmt) {
-        state.format = fmt;
         Cassette.setFormat(fmt);
+        state.format = Cassette.getFormat(); // unknown ids fall back to A1
         const btn = document.getElementById('btn-format');
-        if (btn) btn.textContent = fmt === Cassette.FORMAT_NL ? 'Format: 1A' : 'Format: A1';
-        localStorage.setItem('grossapp-format', fmt);
+        if (btn) btn.textContent = `Format: ${Cassette.getFormatDef().name}`;
+        localStorage.setItem('grossapp-format', state.format);
         updateFooter();
         updateBlockMap();
     }
 
+    // Cycles through every registered format in registration order
     function toggleFormat() {
-        const next = state.format === Cassette.FORMAT_NL ? Cassette.FORMAT_LN : Cassette.FORMAT_NL;
-        applyFormat(next);
-        toast(`Format: ${next === Cassette.FORMAT_NL ? '1A 1B 1C…' : 'A1 A2 A3…'}`, 'blue');
+        const ids = Cassette.listFormats().map(f => f.id);
+        applyFormat(ids[(ids.indexOf(state.format) + 1) % ids.length]);
+        toast(`Format: ${Cassette.getFormatDef().example}`, 'blue');
+    }
+
+    // Switch to the label format `text` is written in, if it isn't the active
+    // one — otherwise findLastBlock finds nothing and auto-advance goes quiet.
+    function autoDetectFormat(text, source) {
+        const detected = Cassette.detectFormat(text);
+        if (!detected || detected === state.format) return false;
+        const prev = Cassette.getFormatDef().name;
+        applyFormat(detected);
+        toast(`Format switched ${prev} → ${Cassette.getFormatDef().name} to match ${source}`, 'blue');
+        return true;
+    }
+
+    // ── Format conversion ─────────────────────────────────────────────────────
+    // Rewrites the existing dictation from the active format into another one
+    // (Cassette.convertFormat), previewing every changed line before applying.
+
+    let _convertPreview = null; // { toId, text, changes } for the current target
+
+    function openConvertModal() {
+        const overlay = document.getElementById('convert-modal-overlay');
+        const select  = document.getElementById('convert-target');
+        if (!overlay || !select) return;
+        const formats = Cassette.listFormats().filter(f => f.id !== state.format);
+        select.innerHTML = formats
+            .map(f => `<option value="${_esc(f.id)}">${_esc(f.name)} — ${_esc(f.example)}</option>`)
+            .join('');
+        document.getElementById('convert-from').textContent = Cassette.getFormatDef().name;
+        renderConvertPreview();
+        overlay.style.display = 'flex';
+    }
+
+    function closeConvertModal() {
+        const overlay = document.getElementById('convert-modal-overlay');
+        if (overlay) overlay.style.display = 'none';
+        _convertPreview = null;
+    }
+
+    function renderConvertPreview() {
+        const list  = document.getElementById('convert-diff');
+        const btn   = document.getElementById('btn-convert-apply');
+        const toId  = document.getElementById('convert-target').value;
+        const ta    = document.getElementById('dictation');
+        _convertPreview = { toId, ...Cassette.convertFormat(ta.value, toId) };
+
+        const { changes } = _convertPreview;
+        btn.disabled = changes.length === 0;
+        if (changes.length === 0) {
+            list.innerHTML = `<div class="hst-empty">No ${_esc(Cassette.getFormatDef().name)} labels found to convert</div>`;
+            return;
+        }
+        list.innerHTML = changes.map(c => `
+            <div class="cvt-row">
+              <span class="cvt-ln">${c.lineIndex + 1}</span>
+              <div class="cvt-lines">
+                <div class="cvt-minus">− ${_esc(c.before)}</div>
+                <div class="cvt-plus">+ ${_esc(c.after)}</div>
+              </div>
+            </div>`).join('');
+    }
+
+    function applyConversion() {
+        if (!_convertPreview || _convertPreview.changes.length === 0) return;
+        const ta = document.getElementById('dictation');
+        const { toId, text, changes } = _convertPreview;
+        // Capture pending edits first so the conversion is a single undo step
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        // Conversion only rewrites labels, never the line count
+        const oldText  = ta.value;
+        const selStart = mapPosAcrossReflow(oldText, text, ta.selectionStart);
+        const selEnd   = mapPosAcrossReflow(oldText, text, ta.selectionEnd);
+        ta.value = text;
+        ta.setSelectionRange(selStart, selEnd);
+        ta.focus();
+        try { localStorage.setItem('grossapp-dictation-draft', text); } catch {}
+        closeConvertModal();
+        applyFormat(toId); // also refreshes footer + block map
+        refreshFieldCounter();
+        recordSnapshot('convert');
+        toast(`Converted ${changes.length} line${changes.length !== 1 ? 's' : ''} to ${Cassette.getFormatDef().name}`, 'green');
     }
 
     // ── Rapid mode toggle ─────────────────────────────────────────────────────
@@ -1676,12 +2656,187 @@ const App = (() => {
             updateFooter();
             updateBlockMap();
         } else {
-            // Turning off
+            // Turning off — queue the finished specimens, then send the whole queue
             clearTimeout(fieldAdv.timer);
             toast('Rapid mode OFF', '');
+            Rapid.closeSpecimen(ta.value);
+            Rapid.queueDocument(ta.value, rapidCaseContext());
+            if (Rapid.getQueue().length) submitRapidQueue();
         }
     }
 
+    // ── Rapid template palette ────────────────────────────────────────────────
+
+    // Choose the palette template for the next specimen. If the newest block
+    // hasn't been touched yet it is rebuilt from the chosen template at once.
+    function rapidPickTemplate(idx) {
+        const ta    = document.getElementById('dictation');
+        const entry = Rapid.selectTemplate(idx);
+        if (!entry) return;
+        if (!ta.value.trim()) {
+            Rapid.applyFirst(ta);
+            recordSnapshot('rapid-template');
+            setTimeout(() => goToNextField(0), 60);
+            toast(`Template: ${entry.name}`, 'green');
+        } else if (Rapid.swapIfUnfilled(ta, entry)) {
+            recordSnapshot('rapid-swap');
+            updateFooter(); updateBlockMap();
+            goToNextField(ta.selectionStart);
+            toast(`Template: ${entry.name} — applied to this specimen`, 'blue');
+        } else {
+            toast(`Next specimen: ${entry.name}`, 'blue');
+        }
+        Rapid.updateRapidStatus();
+    }
+
+    // "Same as previous specimen" — fill the current field from the same field
+    // of the previous block (or accept a bracketed pre-fill), then move on
+    function rapidCarryOver() {
+        const ta = document.getElementById('dictation');
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        const res = Rapid.carryOver(ta);
+        if (!res) { toast('Nothing to carry over from the previous specimen', ''); return; }
+        recordSnapshot('carry-over');
+        fieldAdv.anchor = -1;
+        goToNextField(res.end);
+        toast(res.accepted ? `Kept: ${res.value}` : `Same as previous: ${res.value}`, 'blue');
+    }
+
+    function rapidTogglePrefill(on) {
+        Rapid.setPrefill(on);
+        toast(on ? 'New specimens pre-filled from the previous one' : 'Pre-fill off', 'blue');
+    }
+
+    function rapidEditSites(idx) {
+        const entry = Rapid.getPalette()[idx];
+        if (!entry) return;
+        const input = prompt(`Site keywords for "${entry.name}" (comma-separated):`, (entry.sites || []).join(', '));
+        if (input === null) return;
+        Rapid.setTemplateSites(entry.id, input.split(','));
+    }
+
+    function rapidRemoveTemplate(idx) {
+        const entry = Rapid.getPalette()[idx];
+        if (!entry || !confirm(`Remove "${entry.name}" from the rapid palette?`)) return;
+        Rapid.removeTemplate(entry.id);
+        Rapid.updateRapidStatus();
+    }
+
+    // ── Rapid batch setup ─────────────────────────────────────────────────────
+    // Paste the requisition's container list; every specimen block is written
+    // up front with its site filled, then field navigation walks the rest.
+
+    let _batchPlan = [];
+
+    function openBatchModal() {
+        if (!Rapid.getPalette().length) { toast('Paste a rapid template first', ''); return; }
+        const overlay = document.getElementById('batch-modal-overlay');
+        if (!overlay) return;
+        overlay.style.display = 'flex';
+        const input = document.getElementById('batch-input');
+        input.focus();
+        renderBatchPreview();
+    }
+
+    function closeBatchModal() {
+        const overlay = document.getElementById('batch-modal-overlay');
+        if (overlay) overlay.style.display = 'none';
+    }
+
+    function renderBatchPreview() {
+        const list = document.getElementById('batch-preview');
+        const btn  = document.getElementById('btn-batch-apply');
+        _batchPlan = Rapid.planBatch(Rapid.parseRequisition(document.getElementById('batch-input').value));
+        btn.disabled = _batchPlan.length === 0;
+        list.innerHTML = _batchPlan.length
+            ? _batchPlan.map(p => `
+                <div class="batch-row">
+                  <span class="batch-lbl">${_esc(Rapid.specimenLabel(p.idx))}</span>
+                  <span class="batch-site">${_esc(p.site)}</span>
+                  <span class="batch-tmpl">${_esc(p.template.name)}</span>
+                </div>`).join('')
+            : '<div class="hst-empty">e.g. A: ascending colon polyp, B: sigmoid polyp, C: rectum random</div>';
+    }
+
+    function applyBatch() {
+        if (!_batchPlan.length) return;
+        const ta = document.getElementById('dictation');
+        if (ta.value.trim() && !confirm('Replace the current dictation with the batch?')) return;
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        const count = Rapid.applyBatch(ta, _batchPlan);
+        closeBatchModal();
+        recordSnapshot('rapid-batch');
+        updateFooter(); updateBlockMap(); refreshFieldCounter();
+        fieldAdv.anchor = -1;
+        goToNextField(0);
+        toast(`${count} specimen${count !== 1 ? 's' : ''} set up — fill the remaining fields`, 'green');
+    }
+
+    // ── Rapid submission queue ────────────────────────────────────────────────
+    // Rapid mode queues finished specimens locally (Rapid.queueDocument); this
+    // sends them: specimen upsert from the typed site, template association,
+    // then the same API.cases.submit payload as a normal case.
+
+    let _queueSending = false;
+
+    // Case details a queued specimen keeps, captured when it is queued
+    function rapidCaseContext() {
+        return {
+            histories:   state.histories.map(h => ({ id: h.id, is_primary: h.is_primary ? 1 : 0 })),
+            terms_shown: state.termsShown,
+            terms_used:  state.termsUsed,
+            extractFills
+        };
+    }
+
+    async function submitRapidQueue() {
+        const queue = Rapid.getQueue();
+        if (_queueSending || !queue.length) return;
+        _queueSending = true;
+        toast(`Submitting ${queue.length} queued case${queue.length !== 1 ? 's' : ''}…`, 'blue');
+
+        const templateIds = new Map(); // `${specimen_id}|${template}` → template id
+        let sent = 0, failed = 0;
+        for (const item of queue) {
+            try {
+                const name     = normalizeSpecimenName(item.site || '');
+                if (!name) throw new Error(`No specimen site for ${item.label}`);
+                const specimen = await API.specimens.upsert(name);
+
+                let template_id = null;
+                if (item.template_text) {
+                    const tkey = `${specimen.id}|${item.template_text}`;
+                    if (!templateIds.has(tkey)) {
+                        const t = await API.templates.submit(specimen.id, item.template_text);
+                        templateIds.set(tkey, t.id);
+                    }
+                    template_id = templateIds.get(tkey);
+                }
+
+                await API.cases.submit({
+                    specimen_id:  specimen.id,
+                    template_id,
+                    gross_text:   item.gross_text,
+                    histories:    item.histories   || [],
+                    terms_shown:  item.terms_shown || [],
+                    terms_used:   item.terms_used  || [],
+                    placeholder_fills: item.placeholder_fills || []
+                });
+                Rapid.markSent(item.key);
+                sent++;
+            } catch (e) {
+                failed++;
+                console.error(e);
+            }
+        }
+        _queueSending = false;
+        toast(failed
+            ? `Submitted ${sent}, ${failed} failed — still queued`
+            : `Submitted ${sent} queued case${sent !== 1 ? 's' : ''} ✓`, failed ? '' : 'green');
+    }
+
     // ── Clipboard / Paste ─────────────────────────────────────────────────────
 
     let _clipText        = '';      // last clipboard text read
@@ -1786,7 +2941,9 @@ const App = (() => {
 
         try {
             const result = await API.templates.submit(state.specimen.id, raw);
-            state.template_id = result.id;
+            state.template_id  = result.id;
+            state.template_raw = raw;
+            loadFillValues();
             toast(result.new
                 ? `Template saved (${result.placeholders?.length ?? 0} fields detected)`
                 : `Template recognised`, 'blue');
@@ -1863,10 +3020,25 @@ const App = (() => {
     // In normal mode: wraps to the first field in the document.
     // `fromPos` defaults to current selectionEnd.
     function goToNextField(fromPos) {
-        const ta     = document.getElementById('dictation');
-        const text   = ta.value;
-        const from   = fromPos !== undefined ? fromPos : ta.selectionEnd;
-        const fields = findAllFields(text);
+        const ta   = document.getElementById('dictation');
+        // A measurement still in the picker's panel goes in first, as with Enter
+        if (commitMeasurement(true)) return;
+        let from   = fromPos !== undefined ? fromPos : ta.selectionEnd;
+        from       = resolveTypedChoice(ta, from);
+        let fields = findAllFields(ta.value);
+
+        // ── Rapid mode: typed site matches another palette template ──────────
+        // Swaps the still-unfilled newest block over to it, keeping the site.
+        if (Rapid.isActive()) {
+            const swapped = Rapid.recogniseSite(ta);
+            if (swapped) {
+                recordSnapshot('rapid-swap');
+                updateFooter(); updateBlockMap();
+                toast(`Template: ${swapped.name} (site recognised)`, 'blue');
+                from   = ta.selectionEnd;
+                fields = findAllFields(ta.value);
+            }
+        }
 
         // ── Rapid mode: no more fields ahead → append next specimen ──────────
         if (Rapid.isActive()) {
@@ -1894,6 +3066,7 @@ const App = (() => {
                     fieldAdv.watchBack = false;
                     clearTimeout(fieldAdv.timer);
                     updateFieldCounter(newFields.indexOf(firstNew) + 1, newFields.length);
+                    openFieldPicker(ta, firstNew);
                 }
                 return true;
             }
@@ -1920,6 +3093,7 @@ const App = (() => {
 
         const idx = fields.indexOf(target) + 1;
         updateFieldCounter(idx, fields.length);
+        openFieldPicker(ta, target);
         return true;
     }
 
@@ -1953,9 +3127,84 @@ const App = (() => {
 
         const idx = fields.indexOf(target) + 1;
         updateFieldCounter(idx, fields.length);
+        openFieldPicker(ta, target);
         return true;
     }
 
+    // ── Not applicable ────────────────────────────────────────────────────────
+    // Drops the current field with the sentence or clause around it (or its
+    // whole line when that is the line, e.g. a cassette line) and moves on.
+
+    // Breaks between sentences (". " — "3.5" isn't one) and clauses: ";" and a
+    // comma before a labelled clause ("Margins: [___], other: fine.")
+    const CLAUSE_LABEL = ',(?=\\s+[^\\s,.;:[\\]][^,.;:[\\]\\n]{0,30}:)';
+    const BREAK_BEFORE = new RegExp(`([.!?;]|${CLAUSE_LABEL})\\s+(?=\\S)`, 'g');
+    const BREAK_AFTER  = new RegExp(`([.!?;]|${CLAUSE_LABEL})(?=\\s|$)\\s*`);
+
+    // Range of `text` to delete for field { start, end }. `capitalise` is set
+    // when a clause opening a sentence goes and the next one now opens it.
+    function notApplicableRange(text, field) {
+        const ls   = text.lastIndexOf('\n', field.start - 1) + 1;
+        let   le   = text.indexOf('\n', field.end);
+        if (le < 0) le = text.length;
+        const line = text.substring(ls, le);
+
+        let start = ls;
+        const head = /^\s*\S+\s+/.exec(line);
+        if (head && Cassette.parseHeaderToken(line) !== null) start = ls + head[0].length;
+        const before = text.substring(start, field.start);
+        let m, cut = 0, clauseAt = -1;
+        BREAK_BEFORE.lastIndex = 0;
+        while ((m = BREAK_BEFORE.exec(before)) !== null) {
+            cut      = m.index + m[0].length;
+            clauseAt = /[;,]/.test(m[1]) ? start + m.index : -1;
+        }
+        start += cut;
+        const after      = BREAK_AFTER.exec(text.substring(field.end, le));
+        const clauseNext = !!after && /[;,]/.test(after[1]);
+
+        // Last clause of a sentence → drop it with the break before it, keep the stop
+        if (clauseAt >= 0 && !clauseNext) {
+            return { start: clauseAt, end: after ? field.end + after.index : le };
+        }
+        const end = after ? field.end + after.index + after[0].length : le;
+
+        // Sentence is all that's left on the line → remove the line itself
+        if (!text.substring(ls, start).trim() && !text.substring(end, le).trim()) {
+            return { start: ls, end: le < text.length ? le + 1 : le };
+        }
+        // Last sentence on the line → take the space before it instead of after
+        if (!text.substring(end, le).trim()) {
+            return { start: start - text.substring(ls, start).match(/\s*$/)[0].length, end: le };
+        }
+        return { start, end, capitalise: clauseNext && clauseAt < 0 };
+    }
+
+    function notApplicable() {
+        const ta     = document.getElementById('dictation');
+        const text   = ta.value;
+        const fields = findAllFields(text);
+        const field  = fields.find(f => ta.selectionStart >= f.start && ta.selectionEnd <= f.end);
+        if (!field) { toast('Select a field to mark not applicable', ''); return; }
+
+        const range = notApplicableRange(text, field);
+        let   rest  = text.substring(range.end);
+        if (range.capitalise) rest = rest.charAt(0).toUpperCase() + rest.substring(1);
+        closeFieldPicker();
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        ta.value = text.substring(0, range.start) + rest;
+        ta.selectionStart = ta.selectionEnd = range.start;
+        // A removed cassette line leaves the labels below it out of sequence
+        applyReflow(cursorLineIndex(ta));
+        ta.focus();
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        recordSnapshot('not applicable');
+        toast('Not applicable \u2014 removed (Ctrl+Z to restore)', 'blue');
+        fieldAdv.anchor = -1;
+        goToNextField(ta.selectionStart);
+    }
+
     function updateFieldCounter(cur, total) {
         const el = document.getElementById('field-counter');
         if (!el) return;
@@ -1980,6 +3229,643 @@ const App = (() => {
         updateFieldCounter(idx + 1, fields.length);
     }
 
+    // ── Placeholder value suggestions ─────────────────────────────────────────
+    // Submissions carry what was typed into each placeholder of the case's
+    // template (placeholder_fills); the backend tallies them per template
+    // placeholder.  Landing on a field of that template offers the most
+    // common earlier values in the field picker.
+
+    let _fillValues = {};   // template placeholder position → [{ value, count }]
+
+    // Placeholders of a raw template with the literal text around each:
+    // [{ position, hint, before, after }]
+    function parseTemplateFields(raw) {
+        const out = [];
+        const re  = /\[[^\]]*\]/g;
+        let m, prevEnd = 0;
+        while ((m = re.exec(raw)) !== null) {
+            out.push({ position: out.length, hint: m[0], before: raw.substring(prevEnd, m.index), start: m.index });
+            prevEnd = m.index + m[0].length;
+        }
+        out.forEach((f, i) => {
+            const end = f.start + f.hint.length;
+            f.after = raw.substring(end, i + 1 < out.length ? out[i + 1].start : raw.length);
+            delete f.start;
+        });
+        return out;
+    }
+
+    // Where each placeholder of `raw` sits in `text`, found by the literal
+    // text either side: [{ position, hint, start, end, value, filled }].
+    // Fields whose surroundings were edited (or conditioned) away are left out.
+    function alignTemplateFields(raw, text) {
+        const out  = [];
+        let cursor = 0;
+        for (const f of parseTemplateFields(raw)) {
+            // Literal context only — {{variables}} and {{if}} markers read differently in the text
+            const before = f.before.split(/\{\{[^}]*\}\}/).pop();
+            const lead   = before.slice(-30).replace(/^\S*\s/, '');
+            let start;
+            if (f.position === 0 && !f.before) start = 0;
+            else if (lead.trim().length >= 3) {
+                const at = text.indexOf(lead, cursor);
+                if (at < 0) continue;
+                start = at + lead.length;
+            } else continue;
+            const tail = f.after.split(/\{\{[^}]*\}\}/)[0].slice(0, 30).replace(/\s\S*$/, '');
+            const end  = tail.trim() ? text.indexOf(tail, start) : (text.indexOf('\n', start) + 1 || text.length + 1) - 1;
+            if (end < 0) continue;
+            const value = text.substring(start, end).trim();
+            cursor = end;
+            out.push({
+                position: f.position, hint: f.hint, start, end, value,
+                filled: !!value && !/^\[[^\]]*\]$/.test(value)
+            });
+        }
+        return out;
+    }
+
+    // Values typed into each placeholder of `raw`, found in the finished `text`
+    function extractFills(raw, text) {
+        return alignTemplateFields(raw, text)
+            .filter(f => f.filled && f.value.length <= 200)
+            .map(f => ({ position: f.position, hint: f.hint, value: f.value }));
+    }
+
+    async function loadFillValues() {
+        _fillValues = {};
+        const id = state.template_id;
+        if (!id) return;
+        try {
+            const rows = await API.templates.placeholderValues(id);
+            if (state.template_id !== id) return;
+            (rows || []).forEach(r => { _fillValues[r.position] = r.values || []; });
+        } catch (e) {
+            console.warn('Placeholder values failed:', e);
+        }
+    }
+
+    // Earlier values for the document field `field` of the active template:
+    // the template placeholder with the same hint whose surrounding literal
+    // text best matches the document around the field
+    function fillSuggestionsFor(text, field) {
+        if (!state.template_raw || !Object.keys(_fillValues).length) return [];
+        const hint  = text.substring(field.start, field.end);
+        const cands = parseTemplateFields(state.template_raw).filter(f => f.hint === hint);
+        if (!cands.length) return [];
+        const before = text.substring(Math.max(0, field.start - 60), field.start);
+        const after  = text.substring(field.end, field.end + 60);
+        let best = null, bestScore = -1;
+        for (const f of cands) {
+            let a = 0, b = 0;
+            while (a < before.length && a < f.before.length &&
+                   before[before.length - 1 - a] === f.before[f.before.length - 1 - a]) a++;
+            while (b < after.length && b < f.after.length && after[b] === f.after[b]) b++;
+            if (a + b > bestScore) { best = f; bestScore = a + b; }
+        }
+        return (_fillValues[best.position] || []).slice(0, 6);
+    }
+
+    // ── Field outline ─────────────────────────────────────────────────────────
+    // Sidebar list of every field, open or filled, grouped by specimen.
+    // Filled fields are known from the case's template (rapid mode: the
+    // palette template of each block); without one only open fields show.
+    // Fields whose hint says "optional" are never flagged as missing.
+
+    let _outlineFlagged = false;   // copy/submit found required fields open
+
+    const isOptionalField = Cassette.isOptionalHint;
+
+    // Start of rapid mode's blank block for the next specimen, else -1 —
+    // its fields aren't missing anything yet
+    function rapidBlankTail(text) {
+        return Rapid.isActive() ? Rapid.untouchedTail(text) : -1;
+    }
+
+    // An open required field, not in the blank block starting at `tail`
+    function isMissingField(f, tail) {
+        return !f.filled && !isOptionalField(f.hint) && (tail < 0 || f.start < tail);
+    }
+
+    // [{ label, fields: [{ start, end, hint, value, filled }] }]
+    function outlineFields(text) {
+        if (Rapid.isActive()) {
+            const groups = Rapid.outlineFields(text);
+            if (groups.length) return groups;
+        }
+        const raw    = state.template_raw || _pendingRawTemplate;
+        const fields = raw
+            ? alignTemplateFields(raw, text).map(f => ({ start: f.start, end: f.end, hint: f.hint, value: f.value, filled: f.filled }))
+            : [];
+        // Open fields the template doesn't account for (typed, snippets, no template)
+        findAllFields(text).forEach(f => {
+            if (!fields.some(x => !x.filled && x.start <= f.start && f.end <= x.end)) {
+                const hint = text.substring(f.start, f.end);
+                fields.push({ start: f.start, end: f.end, hint, value: hint, filled: false });
+            }
+        });
+        fields.sort((a, b) => a.start - b.start);
+
+        // Group under the specimen header each field follows
+        const groups = [];
+        let pos = 0, cur = null;
+        const lines = text.split('\n');
+        const heads = [];
+        for (const line of lines) {
+            const spec = Cassette.parseHeaderToken(line);
+            if (spec !== null) heads.push({ pos, label: spec });
+            pos += line.length + 1;
+        }
+        for (const f of fields) {
+            const head  = heads.filter(h => h.pos <= f.start).pop();
+            const label = head ? head.label : '';
+            if (!cur || cur.label !== label) groups.push(cur = { label, fields: [] });
+            cur.fields.push(f);
+        }
+        return groups;
+    }
+
+    function renderFieldOutline() {
+        const el = document.getElementById('field-outline');
+        if (!el) return;
+        const text   = document.getElementById('dictation').value;
+        const groups = outlineFields(text);
+        const all    = groups.flatMap(g => g.fields);
+        if (!all.length) {
+            _outlineFlagged = false;
+            el.innerHTML = '<span class="fo-empty">No fields</span>';
+            return;
+        }
+        const tail = rapidBlankTail(text);
+        const open = all.filter(f => isMissingField(f, tail)).length;
+        if (!open) _outlineFlagged = false;
+        // Blank hints ([___]) are named by the words leading up to them
+        const hintText = f => {
+            const inner = f.hint.replace(/^\[|\]$/g, '').trim();
+            if (!/^_*$/.test(inner)) return inner;
+            const lead = text.substring(text.lastIndexOf('\n', f.start - 1) + 1, f.start)
+                .replace(/[^\w\s-]/g, ' ').trim().split(/\s+/).slice(-3).join(' ');
+            return lead ? `${lead} …` : '___';
+        };
+
+        el.innerHTML = `<div class="fo-summary">${all.length - all.filter(f => !f.filled).length} / ${all.length} filled</div>` +
+            groups.map(g => `
+            <div class="fo-group">
+                ${g.label ? `<div class="fo-spec">${_esc(g.label)}</div>` : ''}
+                ${g.fields.map(f => {
+                    const flag = _outlineFlagged && isMissingField(f, tail) ? ' fo-missing' : '';
+                    return `<div class="fo-row ${f.filled ? 'fo-filled' : 'fo-open'}${flag}"
+                        onclick="App.jumpToField(${f.start})" title="Click to jump">
+                        <span class="fo-mark">${f.filled ? '\u2713' : '\u25cb'}</span>
+                        <span class="fo-hint">${_esc(hintText(f))}</span>
+                        ${f.filled ? `<span class="fo-value">${_esc(f.value)}</span>` : ''}
+                    </div>`;
+                }).join('')}
+            </div>`).join('');
+    }
+
+    // Highlight open required fields in the outline. Returns { open, conditions }:
+    // open required fields and {{if …}} sections whose choice is still unanswered
+    function flagUnfilledFields() {
+        const text = document.getElementById('dictation').value;
+        const tail = rapidBlankTail(text);
+        const open = outlineFields(text).flatMap(g => g.fields).filter(f => isMissingField(f, tail)).length;
+        _outlineFlagged = open > 0;
+        if (open && !state.sections.fields) toggleSection('fields');
+        renderFieldOutline();
+        return { open, conditions: (text.match(CONDITION_RE) || []).length };
+    }
+
+    // "2 required fields still unfilled, 1 {{if}} section unresolved", or ''
+    function unfilledSummary({ open, conditions }) {
+        return [
+            open       ? `${open} required field${open !== 1 ? 's' : ''} still unfilled` : '',
+            conditions ? `${conditions} {{if}} section${conditions !== 1 ? 's' : ''} unresolved` : ''
+        ].filter(Boolean).join(', ');
+    }
+
+    // Outline click: select an open field (with its picker), or put the
+    // cursor after a filled value
+    function jumpToField(start) {
+        const ta     = document.getElementById('dictation');
+        const fields = findAllFields(ta.value);
+        const target = fields.find(f => f.start === start);
+        ta.focus();
+        if (target) {
+            ta.setSelectionRange(target.start, target.end);
+            fieldAdv.anchor    = target.start;
+            fieldAdv.watchBack = false;
+            clearTimeout(fieldAdv.timer);
+            updateFieldCounter(fields.indexOf(target) + 1, fields.length);
+            openFieldPicker(ta, target);
+        } else {
+            const f = outlineFields(ta.value).flatMap(g => g.fields).find(x => x.start === start);
+            const pos = f ? f.start + f.value.length : start;
+            ta.setSelectionRange(pos, pos);
+        }
+        const line       = ta.value.substring(0, start).split('\n').length - 1;
+        const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 20;
+        ta.scrollTop = Math.max(0, line * lineHeight - ta.clientHeight / 3);
+    }
+
+    // ── Field picker ──────────────────────────────────────────────────────────
+    // Compact panel shown at the caret when navigation selects a placeholder
+    // it can help with:
+    //   • choice      [yes, no], [intact, disrupted] — 1–9 or an option's first
+    //                 letter replaces the field with that option and advances
+    //   • measurement [3 dimensions], [___ x ___ x ___ cm] — digits typed go to
+    //                 the panel ("35 22 1"); Enter writes "3.5 x 2.2 x 0.1 cm"
+    //   • suggest     any other field of the active template with earlier
+    //                 values — ↓/↑ highlights one, Enter writes it
+    // Any other key closes the picker and types into the field as usual.
+
+    const _fieldPicker = {
+        el:      null,
+        mode:    null,    // 'choice' | 'measure' | 'suggest'
+        field:   null,    // { start, end } of the placeholder being answered
+        options: [],      // choice / suggest mode: values
+        label:   null,    // choice mode: label that {{if …}} sections refer to
+        counts:  [],      // suggest mode: times each value was used
+        active:  -1,      // suggest mode: highlighted option
+        measure: null,    // measure mode: { count, unit, buffer }
+    };
+
+    // Words that describe what to write rather than being an answer:
+    // "[3 dimensions, color, cystic]", "[location, e.g. upper outer quadrant]"
+    const HINT_WORDS = /\b(?:e\.g|i\.e|etc|dimensions?|measurements?|colou?r|location|size|shape|weight|number|description|describe|details?|comments?|optional|specify)\b/i;
+
+    // An option that reads as an answer: a word or short phrase, no digits
+    function isChoiceOption(o) {
+        return !!o && !/^_+$/.test(o) && !/\d/.test(o) && o.split(/\s+/).length <= 3 && !HINT_WORDS.test(o);
+    }
+
+    // Choice placeholder "[a, b, c]" or labelled "[label: a, b, c]" (two or
+    // more options, every one an answer) → { label, options }, else null
+    function parseChoiceField(raw) {
+        const m     = raw.replace(/^\[|\]$/g, '').match(/^(?:([^:,]+):\s*)?(.*)$/);
+        const inner = m[2];
+        if (!inner.includes(',')) return null;
+        const opts = inner.split(',').map(o => o.trim());
+        if (opts.length < 2 || !opts.every(isChoiceOption)) return null;
+        return { label: m[1] ? m[1].trim() : null, options: opts };
+    }
+
+    // ── Conditional sections ──────────────────────────────────────────────────
+    // Template text that only applies for some answers of a labelled choice:
+    //
+    //   Nipple: [nipple present: yes, no].
+    //   {{if nipple present = yes}}The nipple shows [___].{{end}}
+    //
+    // The condition takes "=" or "!=" and one or more answers separated by "|".
+    // Answering the choice keeps the section's text (markers dropped) or
+    // removes it together with its fields.
+
+    const CONDITION_RE = /\{\{if\s+([^=!}]+?)\s*(!?=)\s*([^}]+?)\s*\}\}([\s\S]*?)\{\{end\}\}/gi;
+
+    // Resolve the sections conditioned on `label` for answer `value`.
+    // Returns { text, pos, removed } — `pos` is `pos` mapped into the new text.
+    function resolveConditionals(text, label, value, pos) {
+        const key = s => s.trim().toLowerCase();
+        let out = '', last = 0, removed = 0, newPos = pos;
+        CONDITION_RE.lastIndex = 0;
+        let m;
+        while ((m = CONDITION_RE.exec(text)) !== null) {
+            if (key(m[1]) !== key(label)) continue;
+            const hit  = m[3].split('|').some(v => key(v) === key(value));
+            const keep = m[2] === '=' ? hit : !hit;
+            let start = m.index, end = m.index + m[0].length;
+            let body  = keep ? m[4] : '';
+            if (!keep) {
+                // Whole line(s) → drop the line; mid-sentence → one space
+                const lineStart = start === 0 || text[start - 1] === '\n';
+                const lineEnd   = end === text.length || text[end] === '\n';
+                if (lineStart && lineEnd && end < text.length) end++;
+                else if (!lineStart && text[start - 1] === ' ' && (text[end] === ' ' || /^[.,;]/.test(text.substring(end)))) start--;
+                removed++;
+            }
+            out += text.substring(last, start) + body;
+            if (pos >= end)        newPos += body.length - (end - start);
+            else if (pos > start)  newPos  = out.length;
+            last = end;
+        }
+        return { text: out + text.substring(last), pos: newPos, removed };
+    }
+
+    // Dimension placeholder → { count, unit } (count 0 = unspecified), else null
+    function parseMeasureField(raw) {
+        const inner = raw.replace(/^\[|\]$/g, '');
+        const blanks = inner.match(/_+(?=\s*[x×])|(?<=[x×]\s*)_+/gi);
+        if (!/dimension|measurement/i.test(inner) && !blanks) return null;
+        const n = inner.match(/\b([1-3])\s*dimensions?\b/i);
+        return {
+            count: n ? Number(n[1]) : (blanks ? blanks.length : 0),
+            unit:  /\bmm\b/i.test(inner) ? 'mm' : 'cm',
+        };
+    }
+
+    // Quick measurement input → normalised "3.5 x 2.2 x 0.1 cm", or null.
+    // Values are sorted largest first and written in `unit`.  Input is read as
+    // mm unless it carries a unit suffix or any value has a decimal point (cm).
+    function normaliseMeasurement(input, unit = 'cm') {
+        let src = input.trim().toLowerCase();
+        const u = src.match(/\s*(mm|cm)$/);
+        if (u) src = src.slice(0, u.index);
+        const parts = src.split(/[\s,x×*]+/).filter(Boolean);
+        if (!parts.length || parts.length > 3 || parts.some(p => !/^(\d+\.?\d*|\.\d+)$/.test(p))) return null;
+        const inUnit = u ? u[1] : parts.some(p => p.includes('.')) ? 'cm' : 'mm';
+        const factor = inUnit === unit ? 1 : inUnit === 'mm' ? 0.1 : 10;
+        const values = parts.map(p => parseFloat(p) * factor).sort((a, b) => b - a);
+        const dp     = unit === 'cm' ? 1 : 0;   // "3.0 cm", "30 mm"
+        const fmt    = v => {
+            const r = Math.round(v * 100) / 100;
+            return Number.isInteger(Math.round(r * 100) / 10 ** (2 - dp)) ? r.toFixed(dp) : String(r);
+        };
+        return values.map(fmt).join(' x ') + ' ' + unit;
+    }
+
+    // Viewport position of character `pos` in textarea `ta`, measured with an
+    // off-screen mirror that copies the textarea's text layout
+    function caretCoords(ta, pos) {
+        const cs     = getComputedStyle(ta);
+        const mirror = document.createElement('div');
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'wordSpacing', 'tabSize',
+         'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+         'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'boxSizing']
+            .forEach(p => { mirror.style[p] = cs[p]; });
+        Object.assign(mirror.style, {
+            position: 'absolute', visibility: 'hidden', top: '0', left: '-9999px',
+            whiteSpace: 'pre-wrap', overflowWrap: 'break-word', width: ta.offsetWidth + 'px',
+        });
+        mirror.textContent = ta.value.substring(0, pos);
+        const mark = document.createElement('span');
+        mark.textContent = '\u200b';
+        mirror.appendChild(mark);
+        document.body.appendChild(mirror);
+        const r      = ta.getBoundingClientRect();
+        const coords = {
+            left:   r.left + mark.offsetLeft - ta.scrollLeft,
+            top:    r.top  + mark.offsetTop  - ta.scrollTop,
+            height: mark.offsetHeight,
+        };
+        mirror.remove();
+        return coords;
+    }
+
+    function openFieldPicker(ta, field) {
+        closeFieldPicker();
+        const raw     = ta.value.substring(field.start, field.end);
+        // Measurement first: "[3 dimensions, color, cystic]" is a size to enter
+        const measure = parseMeasureField(raw);
+        const choice  = !measure && parseChoiceField(raw);
+        const options = choice && choice.options;
+        const suggest = !options && !measure ? fillSuggestionsFor(ta.value, field) : [];
+        if (!options && !measure && !suggest.length) return;
+        const el = _fieldPicker.el || (_fieldPicker.el = document.getElementById('field-picker'));
+        if (!el) return;
+        _fieldPicker.field = { start: field.start, end: field.end };
+        if (options) {
+            _fieldPicker.mode    = 'choice';
+            _fieldPicker.options = options;
+            _fieldPicker.label   = choice.label;
+        } else if (measure) {
+            _fieldPicker.mode    = 'measure';
+            _fieldPicker.measure = { ...measure, buffer: '' };
+        } else {
+            _fieldPicker.mode    = 'suggest';
+            _fieldPicker.options = suggest.map(v => v.value);
+            _fieldPicker.counts  = suggest.map(v => v.count);
+            _fieldPicker.active  = -1;
+        }
+        renderFieldPicker();
+        el.classList.add('open');
+
+        const c  = caretCoords(ta, field.start);
+        const pw = el.offsetWidth  || 160;
+        const ph = el.offsetHeight || 80;
+        let left = Math.min(c.left, window.innerWidth - pw - 6);
+        let top  = c.top + c.height + 4;
+        if (top + ph > window.innerHeight) top = c.top - ph - 4;
+        el.style.left = Math.max(6, left) + 'px';
+        el.style.top  = Math.max(6, top)  + 'px';
+    }
+
+    function renderFieldPicker() {
+        const el = _fieldPicker.el;
+        if (_fieldPicker.mode === 'choice') {
+            el.innerHTML = _fieldPicker.options.map((o, i) => `
+                <div class="fp-item" onmousedown="event.preventDefault()" onclick="App.pickFieldOption(${i})">
+                    <kbd>${i < 9 ? i + 1 : ''}</kbd>${_esc(o)}
+                </div>`).join('');
+            return;
+        }
+        if (_fieldPicker.mode === 'suggest') {
+            el.innerHTML = _fieldPicker.options.map((o, i) => `
+                <div class="fp-item${i === _fieldPicker.active ? ' active' : ''}"
+                     onmousedown="event.preventDefault()" onclick="App.pickFieldOption(${i})">
+                    <span class="fp-value">${_esc(o)}</span><span class="fp-count">${_fieldPicker.counts[i]}×</span>
+                </div>`).join('') +
+                '<div class="fp-hint">Earlier values · ↓ ↑ then Enter</div>';
+            return;
+        }
+        const m       = _fieldPicker.measure;
+        const preview = m.buffer && normaliseMeasurement(m.buffer, m.unit);
+        const count   = preview ? preview.split(' x ').length : 0;
+        const warn    = preview && m.count && count !== m.count ? ` (expected ${m.count})` : '';
+        el.innerHTML = `
+            <div class="fp-measure">
+                <span class="fp-input">${_esc(m.buffer) || '<span class="fp-ph">35 22 1</span>'}</span>
+                <span class="fp-preview${warn ? ' fp-warn' : ''}">${preview ? '→ ' + _esc(preview) + warn : ''}</span>
+            </div>
+            <div class="fp-hint">mm, or cm with a decimal · Enter to insert · Esc to type freely</div>`;
+    }
+
+    function closeFieldPicker() {
+        _fieldPicker.mode    = null;
+        _fieldPicker.field   = null;
+        _fieldPicker.options = [];
+        _fieldPicker.label   = null;
+        _fieldPicker.counts  = [];
+        _fieldPicker.active  = -1;
+        _fieldPicker.measure = null;
+        if (_fieldPicker.el) _fieldPicker.el.classList.remove('open');
+    }
+
+    // Close once the placeholder is no longer the selection (click, arrows…),
+    // writing in a measurement still in the panel
+    function checkFieldPicker(ta) {
+        const f = _fieldPicker.field;
+        if (!f || (ta.selectionStart === f.start && ta.selectionEnd === f.end)) return;
+        const typed = _fieldPicker.measure?.buffer;
+        if (commitMeasurement(false)) return;
+        if (typed) toast(`Measurement "${typed}" not understood \u2014 discarded`, '');
+        closeFieldPicker();
+    }
+
+    // Write the measurement typed into the panel into its field, as Enter
+    // does; `advance` moves on to the next field. False when there's nothing
+    // typed or it doesn't read as a measurement.
+    function commitMeasurement(advance) {
+        const m     = _fieldPicker.mode === 'measure' ? _fieldPicker.measure : null;
+        const value = m?.buffer ? normaliseMeasurement(m.buffer, m.unit) : null;
+        if (!value) return false;
+        fillPickedField(value, 'measurement', advance);
+        return true;
+    }
+
+    // Textarea keydown while the picker is open. Returns true when consumed.
+    function handleFieldPickerKey(e) {
+        if (!_fieldPicker.field || e.ctrlKey || e.metaKey || e.altKey) return false;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeFieldPicker();
+            return true;
+        }
+        if (_fieldPicker.mode === 'measure') return handleMeasureKey(e);
+        if (_fieldPicker.mode === 'suggest') return handleSuggestKey(e);
+        let idx = -1;
+        if (/^[1-9]$/.test(e.key)) {
+            idx = Number(e.key) - 1;
+        } else if (/^\p{L}$/u.test(e.key)) {
+            const k = e.key.toLowerCase();
+            idx = _fieldPicker.options.findIndex(o => o[0].toLowerCase() === k);
+        }
+        if (idx < 0 || idx >= _fieldPicker.options.length) {
+            // Typed by hand — still resolve its sections once the user moves on
+            if (_fieldPicker.label) {
+                _typedChoice = { label: _fieldPicker.label, options: _fieldPicker.options, start: _fieldPicker.field.start };
+            }
+            closeFieldPicker();
+            return false;
+        }
+        e.preventDefault();
+        pickFieldOption(idx);
+        return true;
+    }
+
+    // Measurement mode: collect the quick input in the panel, not the field
+    function handleMeasureKey(e) {
+        const m = _fieldPicker.measure;
+        if (e.key === 'Enter') {
+            const value = normaliseMeasurement(m.buffer, m.unit);
+            if (!value) { closeFieldPicker(); return false; }
+            e.preventDefault();
+            fillPickedField(value, 'measurement');
+            return true;
+        }
+        if (e.key === 'Backspace' && m.buffer) {
+            m.buffer = m.buffer.slice(0, -1);
+        } else if (e.key.length === 1 && /[\d. x,cm]/i.test(e.key) && (m.buffer || /[\d.]/.test(e.key))) {
+            m.buffer += e.key.toLowerCase();
+        } else if (!m.buffer) {
+            closeFieldPicker();
+            return false;
+        } else if (e.key === 'Shift' || e.key === 'CapsLock') {
+            return false;
+        } else {
+            // Leaving with a measurement typed (Tab, arrows…): write it in, or
+            // keep it in the panel rather than lose it
+            e.preventDefault();
+            if (!commitMeasurement(e.key === 'Tab')) {
+                toast('Measurement not understood \u2014 fix it, or Esc to discard', '');
+            }
+            return true;
+        }
+        e.preventDefault();
+        renderFieldPicker();
+        return true;
+    }
+
+    // Suggest mode: digits and letters belong to the field, so only the
+    // arrows and Enter drive the list
+    function handleSuggestKey(e) {
+        const n = _fieldPicker.options.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            _fieldPicker.active = e.key === 'ArrowDown'
+                ? (_fieldPicker.active + 1) % n
+                : (_fieldPicker.active - 1 + n) % n;
+            renderFieldPicker();
+            return true;
+        }
+        if (e.key === 'Enter' && _fieldPicker.active >= 0) {
+            e.preventDefault();
+            pickFieldOption(_fieldPicker.active);
+            return true;
+        }
+        closeFieldPicker();
+        return false;
+    }
+
+    function pickFieldOption(idx) {
+        const value = _fieldPicker.options[idx];
+        if (value !== undefined) fillPickedField(value, _fieldPicker.mode === 'suggest' ? 'suggestion' : 'choice');
+    }
+
+    // Replace the picker's placeholder with `value` and advance (unless
+    // `advance` is false: the caret then stays where the user moved it, or
+    // after the value).  A labelled choice also resolves its conditional
+    // sections, in the same history step.
+    function fillPickedField(value, label, advance = true) {
+        const ta    = document.getElementById('dictation');
+        const f     = _fieldPicker.field;
+        const cond  = _fieldPicker.mode === 'choice' ? _fieldPicker.label : null;
+        closeFieldPicker();
+        if (!f) return;
+
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        const old = ta.value;
+        const sel = [ta.selectionStart, ta.selectionEnd];
+        let text = old.substring(0, f.start) + value + old.substring(f.end);
+        let pos  = f.start + value.length;
+        let removed = 0;
+        if (cond) ({ text, pos, removed } = resolveConditionals(text, cond, value, pos));
+        ta.value = text;
+        if (advance || (sel[0] >= f.start && sel[1] <= f.end)) {
+            ta.selectionStart = ta.selectionEnd = pos;
+        } else {
+            const at = p => p >= f.end ? p + text.length - old.length : Math.min(p, f.start);
+            ta.setSelectionRange(at(sel[0]), at(sel[1]));
+        }
+        ta.focus();
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        recordSnapshot(label);
+        if (removed) toast(`${cond}: ${value} — ${removed} section${removed !== 1 ? 's' : ''} removed`, 'blue');
+        if (!advance) return;
+        fieldAdv.anchor = -1;
+        goToNextField(pos);
+    }
+
+    // Labelled choice answered by typing: { label, options, start }
+    let _typedChoice = null;
+
+    // Resolve the sections of a hand-typed choice once its answer reads as
+    // one of the options. Returns `pos` mapped into the resulting text.
+    function resolveTypedChoice(ta, pos) {
+        const c = _typedChoice;
+        if (!c) return pos;
+        const typed = ta.value.substring(c.start).match(/^[^.,;:\n\[\]]*/)[0].trim().toLowerCase();
+        const value = typed && c.options.find(o => o.toLowerCase() === typed);
+        if (!value) {
+            // Still being typed (or abandoned): keep waiting until it's moved past
+            if (!typed || c.options.some(o => o.toLowerCase().startsWith(typed))) return pos;
+            _typedChoice = null;
+            return pos;
+        }
+        _typedChoice = null;
+        const res = resolveConditionals(ta.value, c.label, value, pos);
+        if (res.text === ta.value) return pos;
+        const caret = resolveConditionals(ta.value, c.label, value, ta.selectionEnd).pos;
+        clearTimeout(_snapshotTimer);
+        recordSnapshot('typed');
+        ta.value = res.text;
+        ta.selectionStart = ta.selectionEnd = caret;
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        recordSnapshot('choice');
+        if (res.removed) toast(`${c.label}: ${value} — ${res.removed} section${res.removed !== 1 ? 's' : ''} removed`, 'blue');
+        return res.pos;
+    }
+
     // Returns true if `text` (replacement so far) suggests the user isn't done
     function shouldHoldAdvance(text) {
         if (!text) return true;
@@ -2199,15 +4085,23 @@ const App = (() => {
 
     // Public surface
     return {
-        newBlock, newSpecimen, undoInsert, redoInsert,
+        newBlock, addSpecimen, newSpecimen, reflowBlocks, generateSummaries, undoInsert, redoInsert, undoBlock,
         submitCase, copyToClipboard, clearAll,
-        toggleSection, detectFromPaste,
+        toggleSection, detectFromPaste, jumpToLine, jumpToField, editBlockDesc,
         toggleTheme, toggleFormat, toggleRapidMode,
-        goToNextField, goPrevField, toggleAutoAdvance, toggleFieldPrefs,
+        rapidPickTemplate, rapidEditSites, rapidRemoveTemplate, rapidCarryOver, rapidTogglePrefill,
+        openBatchModal, closeBatchModal, renderBatchPreview, applyBatch, submitRapidQueue,
+        openConvertModal, closeConvertModal, renderConvertPreview, applyConversion,
+        goToNextField, goPrevField, pickFieldOption, notApplicable, toggleAutoAdvance, toggleFieldPrefs,
         pasteFromClipboard,
         openHistoryModal, closeHistoryModal, restoreHistoryEntry,
         openTemplateModal, closeTemplateModal, applyTemplate,
-        _tmplSelectCard, _tmplSearchInput, _tmplSearchKeydown
+        tmplEdit, tmplCancelEdit, tmplSave, tmplRename, tmplRetire,
+        tmplHistory, tmplShowVersion, tmplRestoreVersion,
+        openSnippetModal, closeSnippetModal, insertSnippet, editSnippet, saveSnippet, deleteSnippet,
+        tmplToggleExport, exportTemplates, importTemplates, closeImportModal, setImportAction, applyImport,
+        _tmplSelectCard, _tmplSearchInput, _tmplSearchKeydown,
+        _blockDragStart, _blockDragOver, _blockDrop, _blockDragEnd
     };
 
 })();
@@ -1,199 +1,342 @@
 /**
- * cassette.js  v1.9
+ * cassette.js  v2.0
  * Cassette key automation for gross pathology dictation.
  *
- * Supports two block formats (toggled via Cassette.setFormat):
+ * Block label formats come from a registry (Cassette.registerFormat) and are
+ * selected with Cassette.setFormat. Built in:
  *
- *   FORMAT "letter-number" (default):  A1, A2 … A26, A27 … B1, B2 …
- *   FORMAT "number-letter":            1A, 1B … 1Z, 1AA, 1AB … 1AZ, 1BA …
- *                                      2A, 2B … (specimen 2)
+ *   "letter-number" (default):  A1, A2 … A26, A27 … B1, B2 … Z1, AA1, AB1 …
+ *   "number-letter":            1A, 1B … 1Z, 1AA, 1AB … 1AZ, 1BA …
+ *                               2A, 2B … (specimen 2)
+ *   "letter-dash-number":       A-1, A-2 … B-1 … AA-1
+ *   "site-number-letter":       S1-A, S1-B … S2-A
+ *   "letter-number-no-io":      A1 … H1, J1 … N1, P1 … Z1, AA1 (no I or O specimens)
+ *
+ * Letter specimens continue past Z as AA, AB … so large biopsy batches keep
+ * unique headers and labels.
  *
  * Triggers:
  *   1. DMO "New Line" — fires a generic input event on the new empty line.
  *      Detected by checking if the current line is empty after an input event.
  *   2. First character typed on a new line (keyboard Enter fallback).
  *   3. selectionchange — when DMO "Next Field" selects [___], auto-fills.
- *   4. +Block / +Specimen / ↩ Undo buttons.
+ *   4. +Block / +Specimen buttons; ↶ Block walks back the insert undo stack.
  */
-console.log('%ccassette.js v1.9', 'color:#1a4f8a;font-weight:bold', 'loaded ✓');
+console.log('%ccassette.js v2.0', 'color:#1a4f8a;font-weight:bold', 'loaded ✓');
 const Cassette = (() => {
 
-    // ── Format definitions ────────────────────────────────────────────────────
-
-    const FORMAT_LN = 'letter-number'; // A1, B3, C20
-    const FORMAT_NL = 'number-letter'; // 1A, 2B, 1AA
-
-    let _format = FORMAT_LN;
+    // ── Label sequences ───────────────────────────────────────────────────────
+    // A sequence maps label tokens ↔ 1-based indices and supplies the regex
+    // that matches one token. Formats combine one for the specimen part and
+    // one for the block part.
+
+    function numberSequence() {
+        return {
+            pattern:   '\\d+',
+            toIndex:   (tok) => parseInt(tok, 10),
+            fromIndex: (n)   => String(n)
+        };
+    }
 
-    function setFormat(fmt) {
-        _format = fmt === FORMAT_NL ? FORMAT_NL : FORMAT_LN;
+    /**
+     * Bijective base-N letters over `alphabet`: A, B … Z, AA, AB … AZ, BA …
+     * maxLen caps how many letters the regex accepts.
+     */
+    function letterSequence(alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', maxLen = 1) {
+        const base = alphabet.length;
+        return {
+            size:    base,     // single letters before the sequence runs on to AA
+            pattern: `[${alphabet}]` + (maxLen > 1 ? `{1,${maxLen}}` : ''),
+            toIndex(tok) {
+                let n = 0;
+                for (const ch of tok) n = n * base + alphabet.indexOf(ch) + 1;
+                return n;
+            },
+            fromIndex(n) {
+                let s = '';
+                while (n > 0) {
+                    s = alphabet[(n - 1) % base] + s;
+                    n = Math.floor((n - 1) / base);
+                }
+                return s;
+            }
+        };
     }
-    function getFormat() { return _format; }
 
-    // ── Patterns ──────────────────────────────────────────────────────────────
+    // ── Format registry ───────────────────────────────────────────────────────
 
-    // Letter-Number: A1-  A12\t  B3:  C20–
-    const BLOCK_LN = /^([A-Z])(\d+)([\t\-\u2013\u2014]|:\s?|\s)/;
+    const FORMAT_LN = 'letter-number'; // A1, B3, C20
+    const FORMAT_NL = 'number-letter'; // 1A, 2B, 1AA
 
-    // Letter-Number range: A5-A10-  or  A5-10-
-    const RANGE_LN = /^([A-Z])(\d+)[-\u2013\u2014]([A-Z])?(\d+)([\t\-\u2013\u2014]|:\s?|\s)/;
+    // Separator after a label: A1-  A1\t  A1:  A1–  A1<space>
+    const SEP_SOURCE  = '([\\t\\-\\u2013\\u2014]|:\\s?|\\s)';
+    // Joiner inside a range: A5-A7  A5–A7
+    const DASH_SOURCE = '([-\\u2013\\u2014])';
+
+    const _formats = new Map();
+    let   _fmt     = null;
+
+    // Turn a '{spec}…{block}' template into a regex source with one capture
+    // group per token, remembering which group is which.
+    function compileTemplate(template, def) {
+        const order  = [];
+        const source = template.split(/(\{spec\}|\{block\})/).map(part => {
+            if (part === '{spec}')  { order.push('spec');  return `(${def.specimen.pattern})`; }
+            if (part === '{block}') { order.push('block'); return `(${def.block.pattern})`; }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        return { source, order };
+    }
 
-    // Number-Letter: 1A-  2B\t  1AA:  2AZ–
-    const BLOCK_NL = /^(\d+)([A-Z]{1,2})([\t\-\u2013\u2014]|:\s?|\s)/;
+    /**
+     * Register a cassette label format. Returns the compiled format.
+     *
+     *   id          unique key, persisted as the user's preference
+     *   name        short button label, e.g. 'A1'
+     *   example     toast text, e.g. 'A1 A2 A3…'
+     *   specimen    sequence for the specimen part (numberSequence / letterSequence)
+     *   block       sequence for the block part
+     *   label       template using {spec} and {block}, e.g. '{spec}{block}', 'S{spec}-{block}'
+     *   header      specimen header token, default '{spec}.' ("B. The specimen…")
+     *   shortRange  accept an abbreviated range end (A5-10, 1A-C); default true
+     */
+    function registerFormat(def) {
+        const label  = compileTemplate(def.label, def);
+        const header = compileTemplate(def.header || '{spec}.', def);
+        const short  = def.shortRange !== false ? `|(${def.block.pattern})` : '';
+        const fmt = {
+            ...def,
+            labelOrder:  label.order,
+            headerOrder: header.order,
+            // start label, optional range (joiner + full or short end), separator
+            blockRe:    new RegExp(`^${label.source}(?:${DASH_SOURCE}(?:${label.source}${short}))?${SEP_SOURCE}`),
+            indentedRe: new RegExp(`^([\\s\\t]+)${label.source}${SEP_SOURCE}`),
+            labelRe:    new RegExp(`^${label.source}$`),
+            leadRe:     new RegExp(`^${label.source}`),
+            summaryRe:  new RegExp(`\\b${label.source}(?:\\s*[-\\u2013\\u2014]\\s*(?:${label.source}${short}))?\\b`, 'g'),
+            headerRe:   new RegExp(`^${header.source}\\s+[Tt]he specimen`),
+            headerLeadRe: new RegExp(`^${header.source}\\s*`),
+            compose: (spec, block) => def.label.replace('{spec}', spec).replace('{block}', block)
+        };
+        _formats.set(def.id, fmt);
+        if (!_fmt) _fmt = fmt;
+        return fmt;
+    }
 
-    // Number-Letter range: 1A-1C-  or  1A-C-
-    const RANGE_NL = /^(\d+)([A-Z]{1,2})[-\u2013\u2014](\d+)?([A-Z]{1,2})([\t\-\u2013\u2014]|:\s?|\s)/;
+    registerFormat({
+        id: FORMAT_LN, name: 'A1', example: 'A1 A2 A3…',
+        specimen: letterSequence(undefined, 2), block: numberSequence(),
+        label: '{spec}{block}'
+    });
+    registerFormat({
+        id: FORMAT_NL, name: '1A', example: '1A 1B 1C…',
+        specimen: numberSequence(), block: letterSequence(undefined, 2),
+        label: '{spec}{block}'
+    });
+    registerFormat({
+        id: 'letter-dash-number', name: 'A-1', example: 'A-1 A-2 A-3…',
+        specimen: letterSequence(undefined, 2), block: numberSequence(),
+        label: '{spec}-{block}'
+    });
+    registerFormat({
+        id: 'site-number-letter', name: 'S1-A', example: 'S1-A S1-B S1-C…',
+        specimen: numberSequence(), block: letterSequence(undefined, 2),
+        label: 'S{spec}-{block}'
+    });
+    registerFormat({
+        id: 'letter-number-no-io', name: 'A1 (no I/O)', example: 'A1 … H1, J1 … N1, P1…',
+        specimen: letterSequence('ABCDEFGHJKLMNPQRSTUVWXYZ', 2), block: numberSequence(),
+        label: '{spec}{block}'
+    });
+
+    /** Select a registered format by id; unknown ids fall back to letter-number. */
+    function setFormat(id) {
+        _fmt = _formats.get(id) || _formats.get(FORMAT_LN);
+    }
+    function getFormat()    { return _fmt.id; }
+    function getFormatDef() { return _fmt; }
+    function listFormats()  { return [..._formats.values()]; }
 
-    // Indented sub-line (leading whitespace)
-    const INDENTED_LN = /^([\s\t]+)([A-Z])(\d+)([\t\-\u2013\u2014]|:\s?|\s)/;
-    const INDENTED_NL = /^([\s\t]+)(\d+)([A-Z]{1,2})([\t\-\u2013\u2014]|:\s?|\s)/;
+    // ── Patterns ──────────────────────────────────────────────────────────────
 
     // Placeholder at start of line: [___]-  [   ]-  [ ]-
     const PLACEHOLDER_LINE_PATTERN = /^(\[[\s_]*\])([\t\-\u2013\u2014]|:\s?|\s)/;
 
-    // Specimen header (LN): "B. The specimen is received"
-    const SPECIMEN_HEADER_PATTERN = /^([A-Z])\.\s+[Tt]he specimen is received/;
-    // Specimen header (NL): "2. The specimen is received"
-    const SPECIMEN_HEADER_PATTERN_NL = /^(\d+)\.\s+[Tt]he specimen is received/;
-
-    // ── Number-Letter helpers ─────────────────────────────────────────────────
+    // ── Sequence helpers ──────────────────────────────────────────────────────
 
     /**
      * Increment a letter suffix: A→B, Z→AA, AZ→BA, ZZ→AAA
      */
     function nextLetterSuffix(letters) {
-        const arr = letters.split('');
-        let i = arr.length - 1;
-        while (i >= 0) {
-            if (arr[i] < 'Z') {
-                arr[i] = String.fromCharCode(arr[i].charCodeAt(0) + 1);
-                return arr.join('');
+        const seq = letterSequence();
+        return seq.fromIndex(letters ? seq.toIndex(letters) + 1 : 1);
+    }
+
+    // Block token ↔ index for the active format (A1: 5 ↔ 5, 1A: E ↔ 5)
+    function suffixToIndex(suffix) { return _fmt.block.toIndex(String(suffix)); }
+    function indexToSuffix(idx)    { return _fmt.block.fromIndex(idx); }
+
+    // Read a { spec, block } pair out of match groups starting at `offset`
+    function readLabel(m, offset, order) {
+        const out = {};
+        order.forEach((key, k) => { out[key] = m[offset + k]; });
+        return out;
+    }
+
+    // ── Two-letter specimens ──────────────────────────────────────────────────
+    // Letter specimens run on past Z as AA, AB… but most two-letter tokens at
+    // the start of a line are prose ("CD10 positive", "ER2-"). A block line
+    // with one only counts once the document's single letters have reached Z,
+    // or a specimen header names it ("AA. The specimen…"). The document is
+    // the text handed to the whole-text functions, else the textarea's.
+
+    let _docText = null;
+    let _wide    = { text: null, fmt: null, all: false, specs: new Set() };
+
+    function withDocument(text, fn) {
+        const saved = _docText;
+        _docText = text;
+        try { return fn(); } finally { _docText = saved; }
+    }
+
+    // Export wrapper: run a (text, …) function with `text` as the document
+    function onDocument(fn) {
+        return (text, ...rest) => withDocument(text, () => fn(text, ...rest));
+    }
+
+    function specimenAllowed(spec) {
+        const seq = _fmt.specimen;
+        if (!seq.size || spec.length < 2) return true;
+        const text = _docText ?? (_textarea ? _textarea.value : '');
+        if (_wide.text !== text || _wide.fmt !== _fmt) {
+            const last = seq.fromIndex(seq.size);
+            _wide = { text, fmt: _fmt, all: false, specs: new Set() };
+            for (const line of text.split('\n')) {
+                const h = line.match(_fmt.headerLeadRe);
+                const b = line.trimEnd().match(_fmt.blockRe);
+                const head = h && /\s$/.test(h[0]) ? readLabel(h, 1, _fmt.headerOrder).spec : null;
+                if (head === last || (b && readLabel(b, 1, _fmt.labelOrder).spec === last)) _wide.all = true;
+                else if (head && head.length > 1) _wide.specs.add(head);
             }
-            arr[i] = 'A';
-            i--;
         }
-        return 'A' + arr.join(''); // overflow: Z→AA, ZZ→AAA
+        return _wide.all || _wide.specs.has(spec);
     }
 
     // ── Parsing ───────────────────────────────────────────────────────────────
 
     /**
-     * Parse a cassette line in either format.
-     * Returns { specimen, suffix, separator, raw, isRange, rangeStart, startSuffix }
-     * where for LN: specimen=letter, suffix=number string
-     *       for NL: specimen=number string, suffix=letter string
-     * Returns null if not a cassette line.
+     * Match a cassette line against the active format without validating it.
+     * Used directly by lint so reversed ranges can still be reported.
      */
-    function parseBlockLine(line) {
-        const t = line.trimEnd();
-
-        if (_format === FORMAT_NL) {
-            // Range first
-            const rr = t.match(RANGE_NL);
-            if (rr) {
-                const specNum    = rr[1];
-                const startSuf   = rr[2];
-                const endSpecNum = rr[3] || specNum;
-                const endSuf     = rr[4];
-                const sep        = rr[5];
-                return {
-                    specimen:    endSpecNum,
-                    suffix:      endSuf,
-                    separator:   sep,
-                    raw:         rr[0],
-                    isRange:     true,
-                    rangeStart:  startSuf,
-                    startSuffix: startSuf,
-                    startSpec:   specNum
-                };
-            }
-            const br = t.match(BLOCK_NL);
-            if (br) {
-                return {
-                    specimen:  br[1],
-                    suffix:    br[2],
-                    separator: br[3],
-                    raw:       br[0],
-                    isRange:   false
-                };
-            }
-            return null;
-        }
-
-        // FORMAT_LN
-        const rm = t.match(RANGE_LN);
-        if (rm) {
-            const startLetter = rm[1];
-            const startNum    = parseInt(rm[2], 10);
-            const endLetter   = rm[3] || startLetter;
-            const endNum      = parseInt(rm[4], 10);
-            const sep         = rm[5];
-            if (endNum < startNum && endLetter === startLetter) return null;
-            return {
-                specimen:    endLetter,   // reuse field name for letter
-                suffix:      endNum,      // reuse field name for number
-                separator:   sep,
-                raw:         rm[0],
-                isRange:     true,
-                rangeStart:  startNum,
-                startLetter: startLetter,
-                // Legacy fields for LN compat
-                letter:      endLetter,
-                number:      endNum
-            };
-        }
-
-        const bm = t.match(BLOCK_LN);
-        if (bm) {
-            return {
-                specimen:  bm[1],
-                suffix:    parseInt(bm[2], 10),
-                separator: bm[3],
-                raw:       bm[0],
-                isRange:   false,
-                letter:    bm[1],
-                number:    parseInt(bm[2], 10)
-            };
-        }
+    function matchBlockLine(line) {
+        const m = line.trimEnd().match(_fmt.blockRe);
+        if (!m) return null;
+        const n     = _fmt.labelOrder.length;
+        const start = readLabel(m, 1, _fmt.labelOrder);
+        const dash  = m[n + 1];
+        const full  = m[n + 2] !== undefined ? readLabel(m, n + 2, _fmt.labelOrder) : null;
+        const short = _fmt.shortRange !== false ? m[2 * n + 2] : undefined;
+        const end   = full || (short !== undefined ? { spec: start.spec, block: short } : start);
+        if (!specimenAllowed(start.spec) || !specimenAllowed(end.spec)) return null;
+        return {
+            specimen:    end.spec,
+            suffix:      end.block,
+            index:       _fmt.block.toIndex(end.block),
+            startSpec:   start.spec,
+            rangeStart:  start.block,
+            startIndex:  _fmt.block.toIndex(start.block),
+            separator:   m[m.length - 1],
+            raw:         m[0],
+            isRange:     dash !== undefined,
+            rangeJoiner: dash || '',
+            shortEnd:    !full && dash !== undefined
+        };
+    }
 
-        return null;
+    /**
+     * Parse a cassette line in the active format.
+     * Returns { specimen, suffix, index, startSpec, rangeStart, startIndex,
+     *           separator, raw, isRange, rangeJoiner, shortEnd }
+     * where specimen/suffix are the (end) label's tokens, e.g. A1 → 'A', '1';
+     * 1AB → '1', 'AB'; index is the block's position in its sequence.
+     * Returns null if not a cassette line, or a range that runs backwards.
+     */
+    function parseBlockLine(line) {
+        const p = matchBlockLine(line);
+        if (!p) return null;
+        if (p.isRange && p.startSpec === p.specimen && p.index < p.startIndex) return null;
+        return p;
     }
 
     function parseIndentedLine(line) {
-        const pattern = _format === FORMAT_NL ? INDENTED_NL : INDENTED_LN;
-        const m = line.match(pattern);
+        const m = line.match(_fmt.indentedRe);
         if (!m) return null;
-        return _format === FORMAT_NL
-            ? { indent: m[1], specimen: m[2], suffix: m[3], separator: m[4] }
-            : { indent: m[1], specimen: m[2], suffix: parseInt(m[3],10), separator: m[4] };
+        const lbl = readLabel(m, 2, _fmt.labelOrder);
+        if (!specimenAllowed(lbl.spec)) return null;
+        return {
+            indent:    m[1],
+            specimen:  lbl.spec,
+            suffix:    lbl.block,
+            index:     _fmt.block.toIndex(lbl.block),
+            separator: m[m.length - 1],
+            raw:       m[0]
+        };
+    }
+
+    // "B. The specimen…" → 'B' in the active format, else null
+    function parseSpecimenHeader(line) {
+        const m = line.match(_fmt.headerRe);
+        return m ? readLabel(m, 1, _fmt.headerOrder).spec : null;
+    }
+
+    // Leading header token alone — "B. Gastric biopsy…" → 'B' — for rapid
+    // blocks whose first line isn't "The specimen…"; else null
+    function parseHeaderToken(line) {
+        const m = line.match(_fmt.headerLeadRe);
+        return m && /\s$/.test(m[0]) ? readLabel(m, 1, _fmt.headerOrder).spec : null;
     }
 
     /**
      * Given a parsed block, return the prefix string for the NEXT block.
-     * LN: A4 → A5-  (or whatever separator)
-     * NL: 1D → 1E-  /  1Z → 1AA-  /  1AZ → 1BA-
+     * A1: A4 → A5-  (or whatever separator)
+     * 1A: 1D → 1E-  /  1Z → 1AA-  /  1AZ → 1BA-
      */
     function nextPrefix(parsed, overrideSep) {
         const sep = normalizeSeparator(overrideSep || parsed.separator);
-        if (_format === FORMAT_NL) {
-            const nextSuf = nextLetterSuffix(parsed.suffix);
-            return `${parsed.specimen}${nextSuf}${sep}`;
-        }
-        // FORMAT_LN
-        return `${parsed.letter}${parsed.number + 1}${sep}`;
+        return _fmt.compose(parsed.specimen, _fmt.block.fromIndex(parsed.index + 1)) + sep;
     }
 
     /**
-     * Next specimen prefix — LN: B1  NL: 2A
+     * Next specimen prefix — A1: B1, Z4 → AA1  1A: 2A
      */
     function nextSpecimenPrefix(parsed, overrideSep) {
-        const sep = normalizeSeparator(overrideSep || parsed.separator);
-        if (_format === FORMAT_NL) {
-            const nextSpec = String(parseInt(parsed.specimen, 10) + 1);
-            return `${nextSpec}A${sep}`;
+        const sep      = normalizeSeparator(overrideSep || parsed.separator);
+        const nextSpec = _fmt.specimen.fromIndex(_fmt.specimen.toIndex(parsed.specimen) + 1);
+        return _fmt.compose(nextSpec, _fmt.block.fromIndex(1)) + sep;
+    }
+
+    /** Specimen header token for 0-based specimen `idx`: "A." / "1." */
+    function specimenHeaderLabel(idx) {
+        const spec = _fmt.specimen.fromIndex(idx + 1);
+        return (_fmt.header || '{spec}.').replace('{spec}', spec);
+    }
+
+    /**
+     * Strip a leading specimen header token ("A. ", "1. ") in any registered
+     * format. Returns the rest of the line, or null if there was none.
+     */
+    function stripSpecimenHeader(line) {
+        for (const fmt of [_fmt, ..._formats.values()]) {
+            const m = line.match(fmt.headerLeadRe);
+            if (m) return line.substring(m[0].length);
         }
-        const nextLetter = String.fromCharCode(parsed.letter.charCodeAt(0) + 1);
-        return `${nextLetter}1${sep}`;
+        return null;
+    }
+
+    /** Length of the block label at the start of `text` ("A12-" → 3), or 0. */
+    function leadingLabelLength(text) {
+        const m = text.match(_fmt.leadRe);
+        return m ? m[0].length : 0;
     }
 
     // ── Cursor helpers ────────────────────────────────────────────────────────
@@ -227,12 +370,12 @@ const Cassette = (() => {
     }
 
     function inferSpecimenFromText(text) {
-        let letter = null;
+        let specimen = null;
         for (const line of text.split('\n')) {
-            const m = line.match(SPECIMEN_HEADER_PATTERN);
-            if (m) letter = m[1];
+            const spec = parseSpecimenHeader(line);
+            if (spec !== null) specimen = spec;
         }
-        return letter;
+        return specimen;
     }
 
     /**
@@ -255,34 +398,19 @@ const Cassette = (() => {
             if (PLACEHOLDER_LINE_PATTERN.test(line)) continue;
 
             // ── Specimen header as seed block ─────────────────────────────────
-            // Matches lines like "A. The specimen" (LN) or "1. The specimen" (NL).
             // Synthesise a block-0 so nextPrefix() produces the right first label.
-            if (_format === FORMAT_LN) {
-                const hm = line.match(/^([A-Z])\.\s+[Tt]he specimen/);
-                if (hm) {
-                    return {
-                        parsed: {
-                            specimen:  hm[1],  letter: hm[1],
-                            suffix:    0,      number: 0,   // nextPrefix → letter + (0+1) = letter1
-                            separator: '-',    raw: '',
-                            isRange:   false
-                        },
-                        lineIndex: i
-                    };
-                }
-            } else {
-                const hm = line.match(/^(\d+)\.\s+[Tt]he specimen/);
-                if (hm) {
-                    return {
-                        parsed: {
-                            specimen:  hm[1],
-                            suffix:    '',     // nextLetterSuffix('') → 'A'  → specNum + 'A'
-                            separator: '-',    raw: '',
-                            isRange:   false
-                        },
-                        lineIndex: i
-                    };
-                }
+            const spec = parseSpecimenHeader(line);
+            if (spec !== null) {
+                return {
+                    parsed: {
+                        specimen:  spec,   startSpec:  spec,
+                        suffix:    '',     rangeStart: '',
+                        index:     0,      startIndex: 0,    // nextPrefix → first block
+                        separator: '-',    raw: '',
+                        isRange:   false
+                    },
+                    lineIndex: i
+                };
             }
 
             const parsed = parseBlockLine(line);
@@ -389,28 +517,118 @@ const Cassette = (() => {
         textarea.dispatchEvent(new CustomEvent('cassette:advance', {
             bubbles: true,
             detail: {
-                // LN compat fields
-                letter: parsed.letter || parsed.specimen,
-                from:   parsed.number !== undefined ? parsed.number : parsed.suffix,
-                to:     parsed.number !== undefined ? parsed.number + 1 : nextLetterSuffix(parsed.suffix),
+                specimen: parsed.specimen,
+                letter:   parsed.specimen,   // legacy name
+                from:     parsed.index,
+                to:       parsed.index + 1,
                 prefix,
                 ...extra
             }
         }));
     }
 
+    // ── Specimen reception line ───────────────────────────────────────────────
+
+    const RECEPTION_TEMPLATE = "{header} The specimen is received in a container labelled with " +
+        "the patient's name, who has the initials '{initials}' and the specimen site '[site]'.";
+
+    // Initials from the first reception line that has real ones (not a [field])
+    function findInitials(text) {
+        const re = /initials\s+['\u2018\u2019"]([^'\u2018\u2019"\n]+)['\u2018\u2019"]/gi;
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            if (!/^\[.*\]$/.test(m[1].trim())) return m[1].trim();
+        }
+        return null;
+    }
+
+    // Site from the last reception line that has a real one (not a [field])
+    function findSite(text) {
+        const re = /specimen site\s+['\u2018\u201c"]([^'\u2019\u201d"\n]+)['\u2019\u201d"]/gi;
+        let m, site = null;
+        while ((m = re.exec(text)) !== null) {
+            if (!/^\[.*\]$/.test(m[1].trim())) site = m[1].trim();
+        }
+        return site;
+    }
+
+    // ── Template variables ────────────────────────────────────────────────────
+    // {{initials}}, {{site}} and {{letter}} in template text take values from
+    // the case; one with no value becomes an ordinary [initials] / [site] /
+    // [letter] field. Other {{…}} markers are left alone.
+
+    function resolveVariables(text, vars = {}) {
+        return text.replace(/\{\{\s*(initials|site|letter)\s*\}\}/gi, (_, name) => {
+            const key = name.toLowerCase();
+            return vars[key] || `[${key}]`;
+        });
+    }
+
+    // A field whose hint says "optional" may be left unfilled
+    function isOptionalHint(hint) {
+        return /\boptional\b/i.test(hint);
+    }
+
+    function receptionLine(header, initials) {
+        return RECEPTION_TEMPLATE
+            .replace('{header}', header)
+            .replace('{initials}', initials || '[initials]');
+    }
+
+    // ── Insert undo stack ─────────────────────────────────────────────────────
+    // Every auto-insert is kept as { pos, inserted, removed, wasPlaceholder },
+    // where `removed` is the text it replaced ('' for a plain insert, the
+    // "[___]-" for a placeholder fill). Positions are kept current by diffing
+    // each textarea value against the last one seen, so an insert can still be
+    // reverted after typing elsewhere; an edit that touches an insert drops it.
+
+    const UNDO_LIMIT = 50;
+
+    let _insertStack = [];
+    let _lastValue   = '';
+
+    function syncInsertStack(textarea) {
+        const now = textarea.value;
+        if (now === _lastValue) return;
+        const old = _lastValue;
+        _lastValue = now;
+        if (!_insertStack.length) return;
+
+        // Single changed region: old[s, oe) became now[s, ne)
+        let s = 0;
+        while (s < old.length && s < now.length && old[s] === now[s]) s++;
+        let oe = old.length, ne = now.length;
+        while (oe > s && ne > s && old[oe - 1] === now[ne - 1]) { oe--; ne--; }
+        const delta = ne - oe;
+
+        _insertStack = _insertStack.filter(op => {
+            const end = op.pos + op.inserted.length;
+            if (s >= end) return true;                       // edit after the insert
+            if (oe <= op.pos) { op.pos += delta; return true; } // edit before it
+            return false;                                    // edit overlaps it
+        });
+    }
+
+    function recordInsert(textarea, pos, inserted, removed = '') {
+        syncInsertStack(textarea); // shifts older inserts past this one
+        _insertStack.push({ pos, inserted, removed, wasPlaceholder: removed !== '' });
+        if (_insertStack.length > UNDO_LIMIT) _insertStack.shift();
+    }
+
     // ── Public actions ────────────────────────────────────────────────────────
 
     function handleNewBlock(textarea) {
+        syncInsertStack(textarea);
         const ph = getPlaceholderOnCurrentLine(textarea);
         if (ph) {
             const result = findLastBlock(textarea, ph.lineStart);
             if (!result) return false;
-            const prefix = nextPrefix(result.parsed, ph.separator);
-            _ignoreNext  = true;
+            const prefix  = nextPrefix(result.parsed, ph.separator);
+            const removed = textarea.value.substr(ph.lineStart, ph.matchLength);
+            _ignoreNext   = true;
             clearSavedSelection();
             replacePlaceholderWithBlock(textarea, prefix, ph);
-            lastAutoInsert = { inserted: prefix, length: prefix.length, wasPlaceholder: true };
+            recordInsert(textarea, ph.lineStart, prefix, removed);
             dispatchAdvance(textarea, result.parsed, prefix, { wasPlaceholder: true });
             return true;
         }
@@ -418,41 +636,67 @@ const Cassette = (() => {
         const result = findLastBlock(textarea);
         if (!result) return false;
         const prefix = nextPrefix(result.parsed);
+        const pos    = textarea.selectionStart;
         clearSavedSelection();
         _ignoreNext  = true;
         insertAtCursor(textarea, '\n' + prefix);
-        lastAutoInsert = { inserted: '\n' + prefix, length: ('\n' + prefix).length };
+        recordInsert(textarea, pos, '\n' + prefix);
         return true;
     }
 
+    /**
+     * Start the next specimen: insert its full reception line below the
+     * cursor's line. Initials are carried over from the first specimen's
+     * reception line; the site (and initials, when none are found) are left
+     * as [fields]. Returns { specimen, lineStart } or false.
+     */
     function handleNewSpecimen(textarea) {
-        const result = findLastBlock(textarea);
-        if (!result) return false;
-        const prefix  = nextSpecimenPrefix(result.parsed);
-        _ignoreNext   = true;
-        insertAtCursor(textarea, '\n' + prefix);
-        lastAutoInsert = { inserted: '\n' + prefix, length: ('\n' + prefix).length };
-        return true;
+        syncInsertStack(textarea);
+        const text      = textarea.value;
+        const pos       = textarea.selectionStart;
+        const lineEnd   = text.indexOf('\n', pos) === -1 ? text.length : text.indexOf('\n', pos);
+        const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+
+        // Specimen after the last one up to the cursor's line (header or block), else the first
+        const last = inferSpecimenFromText(text.substring(0, lineEnd)) ??
+            findLastBlock(textarea, lineEnd)?.parsed.specimen ?? null;
+        const idx  = last !== null ? _fmt.specimen.toIndex(last) : 0;
+
+        const lead      = text.substring(lineStart, lineEnd).trim() ? '\n' : '';
+        const line      = receptionLine(specimenHeaderLabel(idx), findInitials(text));
+
+        textarea.selectionStart = textarea.selectionEnd = lineEnd;
+        _ignoreNext = true;
+        insertAtCursor(textarea, lead + line);
+        recordInsert(textarea, lineEnd, lead + line);
+        return { specimen: _fmt.specimen.fromIndex(idx + 1), lineStart: lineEnd + lead.length };
     }
 
+    /**
+     * Revert the most recent auto-insert still intact in the text, wherever
+     * the cursor is. A filled placeholder gets its "[___]-" back. Inserts
+     * whose text has since been edited are skipped and discarded.
+     * Returns the reverted { pos, inserted, removed, wasPlaceholder } or null.
+     */
     function handleUndo(textarea) {
-        if (!lastAutoInsert) return false;
-        const pos   = textarea.selectionStart;
-        const text  = textarea.value;
-        const start = pos - lastAutoInsert.length;
-        if (start < 0) return false;
-        if (text.substring(start, pos) === lastAutoInsert.inserted) {
-            textarea.value = text.substring(0, start) + text.substring(pos);
-            textarea.selectionStart = textarea.selectionEnd = start;
-            lastAutoInsert = null;
-            return true;
+        syncInsertStack(textarea);
+        while (_insertStack.length) {
+            const op   = _insertStack.pop();
+            const text = textarea.value;
+            if (text.substr(op.pos, op.inserted.length) !== op.inserted) continue;
+            textarea.value = text.substring(0, op.pos) + op.removed +
+                text.substring(op.pos + op.inserted.length);
+            textarea.selectionStart = textarea.selectionEnd = op.pos;
+            textarea.focus();
+            scrollCursorIntoView(textarea);
+            syncInsertStack(textarea); // shift inserts below the reverted one
+            return op;
         }
-        return false;
+        return null;
     }
 
     // ── Auto-trigger on input ─────────────────────────────────────────────────
 
-    let lastAutoInsert = null;
     let _ignoreNext    = false;
     let _textarea      = null;
 
@@ -463,15 +707,18 @@ const Cassette = (() => {
         const { parsed } = result;
         const prefix = nextPrefix(parsed);
 
+        const text = textarea.value;
+        const pos  = text.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
         _ignoreNext = true;
         prependToCurrentLine(textarea, prefix);
-        lastAutoInsert = { inserted: prefix, length: prefix.length };
+        recordInsert(textarea, pos, prefix);
         dispatchAdvance(textarea, parsed, prefix, { wasRange: parsed.isRange || false });
         return true;
     }
 
     function onInput(e) {
         const textarea = e.target;
+        syncInsertStack(textarea);
 
         if (_ignoreNext) {
             _ignoreNext = false;
@@ -509,7 +756,7 @@ const Cassette = (() => {
                 textarea.selectionStart = textarea.selectionEnd = lineStart + prefix.length;
                 textarea.focus();
                 scrollCursorIntoView(textarea);
-                lastAutoInsert = { inserted: prefix, length: prefix.length };
+                recordInsert(textarea, lineStart, prefix);
                 dispatchAdvance(textarea, result.parsed, prefix);
             } else {
                 // Keyboard: first char typed, prepend prefix before it
@@ -533,7 +780,8 @@ const Cassette = (() => {
             textarea.selectionStart = textarea.selectionEnd = lineStart + prefix.length;
             textarea.focus();
             scrollCursorIntoView(textarea);
-            lastAutoInsert = { inserted: prefix, length: prefix.length };
+            // The stray typed character is dropped; undo restores just the placeholder
+            recordInsert(textarea, lineStart, prefix, phm[0]);
             dispatchAdvance(textarea, result.parsed, prefix, { wasPlaceholder: true });
         }
     }
@@ -562,62 +810,591 @@ const Cassette = (() => {
         const result = findLastBlock(textarea, lineStart);
         if (!result) return;
 
+        syncInsertStack(textarea);
         const prefix = nextPrefix(result.parsed, ph.separator);
         _ignoreNext  = true;
         clearSavedSelection();
         replacePlaceholderWithBlock(textarea, prefix, ph);
-        lastAutoInsert = { inserted: prefix, length: prefix.length, wasPlaceholder: true };
+        recordInsert(textarea, lineStart, prefix, m[0]);
         dispatchAdvance(textarea, result.parsed, prefix, { wasPlaceholder: true });
     }
 
     // ── Block map builder ─────────────────────────────────────────────────────
 
+    /**
+     * One entry per cassette line, in document order:
+     *   { label, desc, indented, isRange, lineIndex, specimen,
+     *     startLabel, endLabel, count }
+     * `label` is for display ("A5–A7", "  A6"); startLabel/endLabel are the
+     * plain labels; count is the number of cassettes the line accounts for
+     * (indented sub-lines count 0 — their parent already covers them).
+     */
     function buildBlockMap(text) {
         const lines  = text.split('\n');
         const blocks = [];
 
-        for (const line of lines) {
+        lines.forEach((line, lineIndex) => {
             const ind = parseIndentedLine(line);
             if (ind) {
-                const prefixLen = ind.indent.length +
-                    (_format === FORMAT_NL
-                        ? `${ind.specimen}${ind.suffix}${ind.separator}`
-                        : `${ind.specimen}${ind.suffix}${ind.separator}`).length;
+                const plain = _fmt.compose(ind.specimen, ind.suffix);
                 blocks.push({
-                    label:    `  ${ind.specimen}${ind.suffix}`,
-                    desc:     line.substring(prefixLen).trim(),
+                    label:    `  ${plain}`,
+                    desc:     line.substring(ind.raw.length).trim(),
                     indented: true,
-                    isRange:  false
+                    isRange:  false,
+                    lineIndex,
+                    specimen:   ind.specimen,
+                    startLabel: plain,
+                    endLabel:   plain,
+                    count:      0
                 });
-                continue;
+                return;
             }
 
             const parsed = parseBlockLine(line);
-            if (!parsed) continue;
+            if (!parsed) return;
             const desc = line.substring(parsed.raw.length).trim();
 
             if (parsed.isRange) {
-                const startLabel = _format === FORMAT_NL
-                    ? `${parsed.startSpec}${parsed.startSuffix}`
-                    : `${parsed.startLetter}${parsed.rangeStart}`;
-                const endLabel = _format === FORMAT_NL
-                    ? `${parsed.specimen}${parsed.suffix}`
-                    : `${parsed.letter}${parsed.number}`;
-                blocks.push({ label: `${startLabel}–${endLabel}`, desc, indented: false, isRange: true });
+                const startSpec  = parsed.startSpec;
+                const startLabel = _fmt.compose(parsed.startSpec, parsed.rangeStart);
+                const endLabel   = _fmt.compose(parsed.specimen, parsed.suffix);
+                const count = startSpec === parsed.specimen
+                    ? Math.max(1, parsed.index - parsed.startIndex + 1)
+                    : 1;
+                blocks.push({
+                    label: `${startLabel}–${endLabel}`, desc, indented: false, isRange: true,
+                    lineIndex, specimen: startSpec, startLabel, endLabel, count
+                });
             } else {
+                const plain = _fmt.compose(parsed.specimen, parsed.suffix);
                 blocks.push({
-                    label:    `${parsed.specimen}${parsed.suffix}`,
-                    desc, indented: false, isRange: false
+                    label:    plain,
+                    desc, indented: false, isRange: false,
+                    lineIndex, specimen: parsed.specimen,
+                    startLabel: plain, endLabel: plain, count: 1
                 });
             }
-        }
+        });
         return blocks;
     }
 
+    // ── Block map editing ─────────────────────────────────────────────────────
+
+    // A block line plus the indented sub-lines that follow it: [start, end)
+    function blockUnitEnd(lines, start) {
+        let end = start + 1;
+        while (end < lines.length && parseIndentedLine(lines[end])) end++;
+        return end;
+    }
+
+    /**
+     * Replace the description after the label on block line `lineIndex`,
+     * keeping the label, separator and any spacing after it.
+     */
+    function setBlockDescription(text, lineIndex, desc) {
+        const lines = text.split('\n');
+        const line  = lines[lineIndex];
+        if (line === undefined) return text;
+        const p = parseBlockLine(line) || parseIndentedLine(line);
+        if (!p) return text;
+        const rest = line.substring(p.raw.length);
+        lines[lineIndex] = p.raw + rest.match(/^\s*/)[0] + desc.trim();
+        return lines.join('\n');
+    }
+
+    /**
+     * Move the block on line `fromLine` (with its indented sub-lines) to the
+     * position of the block on `toLine` — above it when moving up, below it
+     * when moving down — then renumber. Both must be top-level block lines of
+     * the same specimen. Returns { text, lineIndex } (the block's new line) or
+     * null when the move isn't possible.
+     */
+    function moveBlock(text, fromLine, toLine) {
+        if (fromLine === toLine) return null;
+        const byLine = new Map(buildBlockMap(text).filter(b => !b.indented).map(b => [b.lineIndex, b]));
+        const from = byLine.get(fromLine);
+        const to   = byLine.get(toLine);
+        if (!from || !to || from.specimen !== to.specimen) return null;
+
+        const lines   = text.split('\n');
+        // Renumber only this specimen's block lines; the move stays inside them
+        const own     = [...byLine.values()].filter(b => b.specimen === from.specimen).map(b => b.lineIndex);
+        const first   = Math.min(...own);
+        const last    = blockUnitEnd(lines, Math.max(...own));
+        const fromEnd = blockUnitEnd(lines, fromLine);
+        const unit    = lines.splice(fromLine, fromEnd - fromLine);
+        let   at;
+        if (toLine < fromLine) {
+            at = toLine;
+        } else {
+            const shifted = toLine - unit.length; // target moved up by the removal
+            at = blockUnitEnd(lines, shifted);
+        }
+        lines.splice(at, 0, ...unit);
+        return { text: reflowBlocks(lines.join('\n'), first, last).text, lineIndex: at };
+    }
+
+    // ── Reflow (renumber) ─────────────────────────────────────────────────────
+
+    // Rewrite the label(s) at the start of a block line, keeping the range
+    // joiner, short/full range end and separator exactly as typed.
+    function relabelLine(line, parsed, newStart, newEnd) {
+        const start = _fmt.compose(parsed.startSpec, indexToSuffix(newStart));
+        const end   = !parsed.isRange ? ''
+            : parsed.rangeJoiner + (parsed.shortEnd
+                ? indexToSuffix(newEnd)
+                : _fmt.compose(parsed.specimen, indexToSuffix(newEnd)));
+        return start + end + parsed.separator + line.substring(parsed.raw.length);
+    }
+
+    function relabelIndented(line, ind, newIdx) {
+        return ind.indent + _fmt.compose(ind.specimen, indexToSuffix(newIdx)) +
+            ind.separator + line.substring(ind.raw.length);
+    }
+
+    /**
+     * Renumber block lines so each specimen runs consecutively (A1, A2, A3…
+     * or 1A, 1B, 1C…) in document order.
+     *
+     *   - Ranges keep their span: A5-A7 after A3 becomes A4-A6.
+     *   - Indented sub-lines follow the block above them (A6 inside old
+     *     A5-A7 becomes A5).
+     *   - A specimen header ("B. The specimen…") restarts the count.
+     *   - Cross-specimen ranges (A5-B2) are left as typed.
+     *
+     * Lines before `fromLine` are never rewritten — they only seed the count,
+     * so the reflow continues from whatever precedes it. Lines from `toLine`
+     * on are left as typed too.
+     *
+     * Returns { text, changed } where changed is the number of lines rewritten.
+     * Line count is always preserved.
+     */
+    function reflowBlocks(text, fromLine = 0, toLine = Infinity) {
+        const lines      = text.split('\n');
+        let   specimen   = null;
+        let   next       = 1;
+        let   parentMap  = new Map();  // old index → new index for the last top-level block
+        let   changed    = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line   = lines[i];
+            const header = parseSpecimenHeader(line);
+            if (header !== null) {
+                specimen  = header;
+                next      = 1;
+                parentMap = new Map();
+                continue;
+            }
+
+            const ind = parseIndentedLine(line);
+            if (ind) {
+                if (i < fromLine || i >= toLine || ind.specimen !== specimen) continue;
+                const oldIdx = ind.index;
+                if (!parentMap.has(oldIdx) || parentMap.get(oldIdx) === oldIdx) continue;
+                lines[i] = relabelIndented(line, ind, parentMap.get(oldIdx));
+                changed++;
+                continue;
+            }
+
+            const parsed = parseBlockLine(line);
+            if (!parsed) continue;
+
+            const startSpec = parsed.startSpec;
+            const endIdx    = parsed.index;
+            const startIdx  = parsed.startIndex;
+
+            if (startSpec !== parsed.specimen) {
+                specimen  = parsed.specimen;
+                next      = endIdx + 1;
+                parentMap = new Map();
+                continue;
+            }
+            if (startSpec !== specimen) {
+                specimen = startSpec;
+                next     = 1;
+            }
+
+            // Outside the reflow span: keep as typed, continue counting from it
+            const newStart = i < fromLine || i >= toLine ? startIdx : next;
+            const newEnd   = newStart + (endIdx - startIdx);
+            parentMap = new Map();
+            for (let k = startIdx; k <= endIdx; k++) parentMap.set(k, newStart + k - startIdx);
+            next = newEnd + 1;
+
+            if (newStart === startIdx) continue;
+            lines[i] = relabelLine(line, parsed, newStart, newEnd);
+            changed++;
+        }
+
+        return { text: lines.join('\n'), changed };
+    }
+
+    // ── Summary of sections ───────────────────────────────────────────────────
+    // One line per specimen, generated from the block lines:
+    //   Summary of sections: A1-A3 tumour with margin; A4 nipple. Entirely submitted in 4 cassettes.
+    // Kept on a single line starting with words so parseBlockLine never
+    // mistakes it for a cassette line.
+
+    const SUMMARY_LINE_PATTERN = /^\s*Summary of sections\s*:/i;
+
+    // "A12" → { specimen: 'A', idx: 12 }   "1AB" → { specimen: '1', idx: 28 }
+    function splitLabel(label) {
+        const m = String(label).match(_fmt.labelRe);
+        if (!m) return null;
+        const lbl = readLabel(m, 1, _fmt.labelOrder);
+        return { specimen: lbl.spec, idx: suffixToIndex(lbl.block) };
+    }
+
+    // Every plain label a block line covers (A5-A7 → A5, A6, A7)
+    function expandBlockLabels(block) {
+        const a = splitLabel(block.startLabel);
+        const b = splitLabel(block.endLabel);
+        if (!a || !b || a.specimen !== b.specimen || b.idx < a.idx) return [block.startLabel];
+        const out = [];
+        for (let k = a.idx; k <= b.idx; k++) out.push(_fmt.compose(a.specimen, indexToSuffix(k)));
+        return out;
+    }
+
+    // Labels mentioned in a typed summary, restricted to one specimen
+    function labelsInSummary(summary, specimen) {
+        const re  = new RegExp(_fmt.summaryRe.source, 'g');
+        const n   = _fmt.labelOrder.length;
+        const out = new Set();
+        let m;
+        while ((m = re.exec(summary)) !== null) {
+            const start = readLabel(m, 1, _fmt.labelOrder);
+            if (start.spec !== specimen) continue;
+            const end = m[n + 1] !== undefined ? readLabel(m, n + 1, _fmt.labelOrder)
+                : m[2 * n + 1] !== undefined ? { spec: start.spec, block: m[2 * n + 1] }
+                : start;
+            expandBlockLabels({
+                startLabel: _fmt.compose(start.spec, start.block),
+                endLabel:   _fmt.compose(end.spec, end.block)
+            }).forEach(l => out.add(l));
+        }
+        return out;
+    }
+
+    function summarySentence(section) {
+        const groups = [];
+        for (const b of section.blocks) {
+            const desc = b.desc.replace(/[.;,\s]+$/, '');
+            const last = groups[groups.length - 1];
+            const prev = last && splitLabel(last.endLabel);
+            const cur  = splitLabel(b.startLabel);
+            // Merge consecutive blocks with the same description into one range
+            if (last && prev && cur && prev.specimen === cur.specimen &&
+                cur.idx === prev.idx + 1 && last.desc.toLowerCase() === desc.toLowerCase()) {
+                last.endLabel = b.endLabel;
+                continue;
+            }
+            groups.push({ startLabel: b.startLabel, endLabel: b.endLabel, desc });
+        }
+        const parts = groups.map(g =>
+            (g.startLabel === g.endLabel ? g.startLabel : `${g.startLabel}-${g.endLabel}`) +
+            (g.desc ? ` ${g.desc}` : ''));
+        const n = section.blocks.reduce((sum, b) => sum + b.count, 0);
+        return `Summary of sections: ${parts.join('; ')}. ` +
+            `${section.entirely ? 'Entirely submitted' : 'Submitted'} in ${n} cassette${n !== 1 ? 's' : ''}.`;
+    }
+
+    /**
+     * Split the text into specimens and build each one's summary line.
+     * Returns [{ specimen, blocks, startLine, endLine, summaryLine, typed,
+     *            summary, stale }] for specimens that have at least one block.
+     * summaryLine is -1 when no summary has been typed yet; stale is true when
+     * the typed summary's labels or cassette count disagree with the blocks.
+     */
+    function buildSectionSummaries(text) {
+        const lines    = text.split('\n');
+        const byLine   = new Map(buildBlockMap(text).filter(b => !b.indented).map(b => [b.lineIndex, b]));
+        const sections = [];
+        let   cur      = null;
+
+        const open = (specimen, lineIndex) => {
+            cur = { specimen, startLine: lineIndex, endLine: lineIndex, blocks: [], summaryLine: -1, entirely: false };
+            sections.push(cur);
+        };
+
+        lines.forEach((line, i) => {
+            const header = parseSpecimenHeader(line);
+            if (header !== null) {
+                open(header, i);
+                cur.entirely = /entirely submitted/i.test(line);
+                return;
+            }
+            const block = byLine.get(i);
+            if (block) {
+                if (!cur || cur.specimen !== block.specimen) open(block.specimen, i);
+                cur.blocks.push(block);
+            }
+            if (!cur) return;
+            if (SUMMARY_LINE_PATTERN.test(line)) cur.summaryLine = i;
+            if (/entirely submitted/i.test(line)) cur.entirely = true;
+            if (line.trim()) cur.endLine = i;
+        });
+
+        return sections.filter(sec => sec.blocks.length > 0).map(sec => {
+            const summary = summarySentence(sec);
+            const typed   = sec.summaryLine >= 0 ? lines[sec.summaryLine].trim() : null;
+            let   stale   = false;
+            if (typed !== null) {
+                const want  = new Set(sec.blocks.flatMap(expandBlockLabels));
+                const have  = labelsInSummary(typed, sec.specimen);
+                const count = typed.match(/\bin\s+(\d+)\s+cassettes?/i);
+                const total = sec.blocks.reduce((sum, b) => sum + b.count, 0);
+                stale = want.size !== have.size || [...want].some(l => !have.has(l)) ||
+                        (count !== null && parseInt(count[1], 10) !== total);
+            }
+            return { ...sec, typed, summary, stale };
+        });
+    }
+
+    /**
+     * Write (or rewrite) the summary line of every specimen. A missing summary
+     * goes on a new line after the specimen's last non-empty line.
+     * Returns { text, updated, insertedAt } — updated lists the specimens whose
+     * summary changed; insertedAt lists original line indices that new lines
+     * were inserted before (for cursor mapping).
+     */
+    function applySectionSummaries(text) {
+        const lines      = text.split('\n');
+        const updated    = [];
+        const insertedAt = [];
+        const sections   = buildSectionSummaries(text);
+        for (let i = sections.length - 1; i >= 0; i--) {
+            const sec = sections[i];
+            if (sec.summaryLine >= 0) {
+                if (sec.typed === sec.summary) continue;
+                lines[sec.summaryLine] = sec.summary;
+            } else {
+                lines.splice(sec.endLine + 1, 0, sec.summary);
+                insertedAt.push(sec.endLine + 1);
+            }
+            updated.unshift(sec.specimen);
+        }
+        return { text: lines.join('\n'), updated, insertedAt };
+    }
+
+    // ── Lint ──────────────────────────────────────────────────────────────────
+
+    /**
+     * Check the block lines for labelling mistakes the parser tolerates.
+     * Returns findings in document order:
+     *   { type, lineIndex, label, message }
+     * where type is one of:
+     *   'duplicate' — label already used on an earlier line
+     *   'order'     — label lower than the block before it (A3 after A7)
+     *   'gap'       — numbers skipped before this block
+     *   'reversed'  — range runs backwards (A7-A5)
+     *   'specimen'  — block letter differs from the enclosing specimen header
+     */
+    function lintBlocks(text) {
+        const lines    = text.split('\n');
+        const byLine   = new Map(buildBlockMap(text).map(b => [b.lineIndex, b]));
+        const findings = [];
+        const seen     = new Map();   // label → first lineIndex
+        const perSpec  = new Map();   // specimen → { prevEnd, covered:Set, blocks:[{start, lineIndex}] }
+        let   header   = null;
+
+        lines.forEach((line, i) => {
+            const spec = parseSpecimenHeader(line);
+            if (spec !== null) { header = spec; return; }
+
+            const block = byLine.get(i);
+            if (!block) {
+                // Reversed ranges fail parseBlockLine entirely — catch them here
+                const rm = matchBlockLine(line);
+                if (rm && rm.isRange) findings.push({
+                    type: 'reversed', lineIndex: i,
+                    label: rm.raw.substring(0, rm.raw.length - rm.separator.length),
+                    message: 'Range runs backwards'
+                });
+                return;
+            }
+
+            if (header !== null && block.specimen !== header) {
+                findings.push({
+                    type: 'specimen', lineIndex: i, label: block.startLabel,
+                    message: `Under specimen ${header} header`
+                });
+            }
+            if (block.indented) return;
+
+            const a = splitLabel(block.startLabel);
+            const b = splitLabel(block.endLabel);
+            if (!a || !b || a.specimen !== b.specimen) return;
+            if (b.idx < a.idx) {
+                findings.push({ type: 'reversed', lineIndex: i, label: block.label, message: 'Range runs backwards' });
+                return;
+            }
+
+            if (!perSpec.has(a.specimen)) perSpec.set(a.specimen, { prevEnd: 0, covered: new Set(), blocks: [] });
+            const st = perSpec.get(a.specimen);
+
+            const dups = [];
+            for (let k = a.idx; k <= b.idx; k++) {
+                const label = _fmt.compose(a.specimen, indexToSuffix(k));
+                if (seen.has(label)) dups.push(label);
+                else seen.set(label, i);
+                st.covered.add(k);
+            }
+            if (dups.length) {
+                findings.push({
+                    type: 'duplicate', lineIndex: i, label: block.label.trim(),
+                    message: `${dups.join(', ')} already used on line ${seen.get(dups[0]) + 1}`
+                });
+            } else if (a.idx <= st.prevEnd) {
+                findings.push({
+                    type: 'order', lineIndex: i, label: block.label.trim(),
+                    message: `Follows ${_fmt.compose(a.specimen, indexToSuffix(st.prevEnd))}`
+                });
+            }
+            st.prevEnd = Math.max(st.prevEnd, b.idx);
+            st.blocks.push({ start: a.idx, lineIndex: i });
+        });
+
+        // Gaps: indices below the specimen's highest label that no line covers,
+        // reported on the first block line after the missing run.
+        perSpec.forEach((st, specimen) => {
+            let k = 1;
+            while (k <= st.prevEnd) {
+                if (st.covered.has(k)) { k++; continue; }
+                const from = k;
+                while (k <= st.prevEnd && !st.covered.has(k)) k++;
+                const to   = k - 1;
+                const next = st.blocks.find(bl => bl.start > to) || st.blocks[st.blocks.length - 1];
+                const span = from === to
+                    ? _fmt.compose(specimen, indexToSuffix(from))
+                    : `${_fmt.compose(specimen, indexToSuffix(from))}–${_fmt.compose(specimen, indexToSuffix(to))}`;
+                findings.push({
+                    type: 'gap', lineIndex: next.lineIndex, label: span,
+                    message: `Missing ${span}`
+                });
+            }
+        });
+
+        return findings.sort((x, y) => x.lineIndex - y.lineIndex);
+    }
+
+    // ── Convert between formats ───────────────────────────────────────────────
+
+    // Run fn with `fmt` as the active format (parsers all read _fmt)
+    function withFormat(fmt, fn) {
+        const saved = _fmt;
+        _fmt = fmt;
+        try { return fn(); } finally { _fmt = saved; }
+    }
+
+    /**
+     * Rewrite every specimen header, block label, range, indented sub-line and
+     * summary-of-sections label in `text` from format `fromId` (default: the
+     * active one) to `toId`. Labels map by position in their sequence, so
+     * A3 → 1C and specimen C → 3. Nothing else on the line is touched.
+     *
+     * Returns { text, changes: [{ lineIndex, before, after }] }.
+     */
+    function convertFormat(text, toId, fromId = _fmt.id) {
+        const from = _formats.get(fromId);
+        const to   = _formats.get(toId);
+        if (!from || !to || from === to) return { text, changes: [] };
+
+        const spec  = (tok) => to.specimen.fromIndex(from.specimen.toIndex(tok));
+        const block = (tok) => to.block.fromIndex(from.block.toIndex(tok));
+        const label = (sp, bl) => to.compose(spec(sp), block(bl));
+
+        const convertLine = (line) => withFormat(from, () => {
+            const header = parseSpecimenHeader(line);
+            if (header !== null) {
+                const lead = line.match(from.headerLeadRe)[0];
+                const gap  = lead.match(/\s*$/)[0];
+                const tok  = (to.header || '{spec}.').replace('{spec}', spec(header));
+                return tok + gap + line.substring(lead.length);
+            }
+
+            if (SUMMARY_LINE_PATTERN.test(line)) {
+                const n = from.labelOrder.length;
+                return line.replace(new RegExp(from.summaryRe.source, 'g'), (...m) => {
+                    const start     = readLabel(m, 1, from.labelOrder);
+                    const startText = from.compose(start.spec, start.block);
+                    const full      = m[n + 1] !== undefined ? readLabel(m, n + 1, from.labelOrder) : null;
+                    const short     = m[2 * n + 1];
+                    if (!full && short === undefined) return label(start.spec, start.block);
+                    const endText = full ? from.compose(full.spec, full.block) : short;
+                    const joiner  = m[0].slice(startText.length, m[0].length - endText.length);
+                    const end     = full ? label(full.spec, full.block)
+                        : to.shortRange !== false ? block(short) : label(start.spec, short);
+                    return label(start.spec, start.block) + joiner + end;
+                });
+            }
+
+            const ind = parseIndentedLine(line);
+            if (ind) {
+                return ind.indent + label(ind.specimen, ind.suffix) + ind.separator +
+                    line.substring(ind.raw.length);
+            }
+
+            // matchBlockLine, not parseBlockLine: reversed ranges convert too
+            const p = matchBlockLine(line);
+            if (p) {
+                const end = !p.isRange ? ''
+                    : p.rangeJoiner + (p.shortEnd && to.shortRange !== false
+                        ? block(p.suffix)
+                        : label(p.specimen, p.suffix));
+                return label(p.startSpec, p.rangeStart) + end + p.separator +
+                    line.substring(p.raw.length);
+            }
+            return line;
+        });
+
+        const changes = [];
+        const lines   = text.split('\n').map((line, i) => {
+            const after = convertLine(line);
+            if (after !== line) changes.push({ lineIndex: i, before: line, after });
+            return after;
+        });
+        return { text: lines.join('\n'), changes };
+    }
+
+    // ── Format detection ──────────────────────────────────────────────────────
+
+    // Characters of `line` a format recognises as header/label (0 = none).
+    // Scoring by length lets S1-A- beat the A1 reading of the same line (S1-).
+    function labelCoverage(line) {
+        if (parseSpecimenHeader(line) !== null) return line.match(_fmt.headerLeadRe)[0].length;
+        const p = parseBlockLine(line) || parseIndentedLine(line);
+        return p ? p.raw.trimStart().length : 0;
+    }
+
+    /**
+     * Guess which registered format `text` is written in from the specimen
+     * headers, block lines and indented sub-lines each one recognises.
+     * Ties keep the active format; returns null when nothing parses at all.
+     */
+    function detectFormat(text) {
+        const lines = text.split('\n');
+        let best = null, bestScore = 0;
+        for (const fmt of [_fmt, ..._formats.values()]) {
+            const score = withFormat(fmt, () => lines.reduce((n, line) => n + labelCoverage(line), 0));
+            if (score > bestScore) { best = fmt.id; bestScore = score; }
+        }
+        return best;
+    }
+
+    // ── HTML escaping ─────────────────────────────────────────────────────────
+    // Shared by the panels app.js and rapid.js render from user text
+
+    function escapeHtml(s) {
+        return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
     // ── Init ──────────────────────────────────────────────────────────────────
 
     function init(textarea) {
-        _textarea = textarea;
+        _textarea  = textarea;
+        _lastValue = textarea.value;
         textarea.addEventListener('input', onInput);
         textarea.addEventListener('keyup',   () => saveSelection(textarea));
         textarea.addEventListener('mouseup', () => saveSelection(textarea));
@@ -637,15 +1414,39 @@ const Cassette = (() => {
         getFormat,
         FORMAT_LN,
         FORMAT_NL,
+        registerFormat,
+        getFormatDef,
+        listFormats,
+        sequences: { numberSequence, letterSequence },
         handleNewBlock,
         handleNewSpecimen,
         handleUndo,
         parseBlockLine,
+        parseIndentedLine,
+        parseSpecimenHeader,
+        parseHeaderToken,
+        specimenHeaderLabel,
+        findInitials,
+        findSite,
+        resolveVariables,
+        isOptionalHint,
+        escapeHtml,
+        stripSpecimenHeader,
+        leadingLabelLength,
         findLastBlock,
-        buildBlockMap,
+        buildBlockMap: onDocument(buildBlockMap),
+        reflowBlocks: onDocument(reflowBlocks),
+        setBlockDescription: onDocument(setBlockDescription),
+        moveBlock: onDocument(moveBlock),
+        buildSectionSummaries: onDocument(buildSectionSummaries),
+        applySectionSummaries: onDocument(applySectionSummaries),
+        lintBlocks: onDocument(lintBlocks),
+        convertFormat: onDocument(convertFormat),
+        detectFormat: onDocument(detectFormat),
         inferSpecimenFromText,
         nextLetterSuffix,  // exported for testing
-        nextPrefix         // exported for next-block preview
+        nextPrefix,        // exported for next-block preview
+        nextSpecimenPrefix
     };
 
 })();
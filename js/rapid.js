@@ -7,6 +7,9 @@
  *   1. Toggle rapid mode ON  →  layout switches (context bar + word cloud hidden).
  *   2. Paste a template.  The template is saved and applied as specimen 1.
  *      If the first line has no "A." / "1." header, one is prepended automatically.
+ *      Every pasted template joins a palette (grossapp-rapid-palette); the
+ *      palette entry used for each new specimen is picked with Alt+1…9 or by
+ *      recognising the site typed into the new block's first field.
  *   3. Auto-advance (always ON) walks through [___] fields.
  *   4. When a [___]-suffix line is auto-filled by cassette logic, the cursor
  *      lands LEFT of the separator.  A timer fires after fieldAdv.delay to move
@@ -14,9 +17,15 @@
  *      timer resets each keystroke, then fires when they stop.
  *   5. When there are no more [___] fields ahead of the cursor the next specimen
  *      block is appended automatically — no button click required.
+ *      Each append timestamps the specimen it closes (grossapp-rapid-session)
+ *      for the sidebar stats: specimens/hour, time per specimen and per field.
  *   6. When the case is done, Copy and paste back into APIS.
+ *   7. Submit splits the document into per-specimen cases and queues them
+ *      locally (grossapp-rapid-queue); app.js sends the queue in one batch
+ *      when rapid mode is toggled off or on demand. rapid.js itself still
+ *      never calls the API.
  *
- * Depends on: cassette.js (for Cassette.getFormat / FORMAT_NL)
+ * Depends on: cassette.js (active label format — header tokens, label lengths)
  */
 
 const Rapid = (() => {
@@ -24,9 +33,27 @@ const Rapid = (() => {
     // ── State ─────────────────────────────────────────────────────────────────
 
     let _active      = false;
-    let _template    = null;   // raw template text (original unfilled paste)
+    let _palette     = [];     // [{ id, name, text, sites: [keyword] }] — unfilled templates
+    let _activeId    = null;   // palette entry used for the next appended specimen
     let _specimenIdx = 0;      // 0-based index of most recently appended specimen
 
+    // Newest specimen block: where it starts and which palette entry built it,
+    // so it can be swapped for another template while still unfilled.
+    let _blockStart      = -1;
+    let _blockVars       = {};     // template variables the newest block was built with
+    let _blockTemplateId = null;
+    let _blockBuilt      = null;   // text the newest block was written with, to spot edits
+
+    // Session timing: { startedAt, specimens: [{ label, startedAt, endedAt, fields }] }
+    // One entry per specimen, opened by applyFirst/appendNext and closed when
+    // the next one is appended or the case ends (closeSpecimen). Persisted in
+    // grossapp-rapid-session.
+    let _session = null;
+
+    // Pre-fill each appended block with the previous specimen's values,
+    // bracketed so they stay fields to confirm or overwrite
+    let _prefill = false;
+
     // Position just after the cassette separator when a [___]- line was filled.
     // While non-null, onFieldInput in app.js debounces the advance timer instead
     // of running normal field-tracking logic.
@@ -35,7 +62,10 @@ const Rapid = (() => {
     // ── Accessors ─────────────────────────────────────────────────────────────
 
     function isActive()       { return _active; }
-    function getTemplate()    { return _template; }
+    function getPrefill()     { return _prefill; }
+    function getTemplate()    { return activeEntry()?.text ?? null; }
+    function getPalette()     { return _palette; }
+    function activeEntry()    { return _palette.find(t => t.id === _activeId) || null; }
     function getSpecimenIdx() { return _specimenIdx; }
     function getBlockSepEnd() { return _blockSepEnd; }
     function clearBlockSepEnd() { _blockSepEnd = null; }
@@ -45,21 +75,121 @@ const Rapid = (() => {
     function load() {
         try {
             _active      = localStorage.getItem('grossapp-rapid') === '1';
-            const saved  = localStorage.getItem('grossapp-rapid-template');
-            _template    = saved || null;
+            _palette     = JSON.parse(localStorage.getItem('grossapp-rapid-palette') || '[]');
+            _activeId    = localStorage.getItem('grossapp-rapid-active') || null;
             _specimenIdx = parseInt(localStorage.getItem('grossapp-rapid-idx') || '0', 10) || 0;
+            _prefill     = localStorage.getItem('grossapp-rapid-prefill') === '1';
+            _session     = JSON.parse(localStorage.getItem('grossapp-rapid-session') || 'null');
+            _caseId      = localStorage.getItem('grossapp-rapid-case') || null;
+            // Single saved template from before the palette existed
+            const saved  = localStorage.getItem('grossapp-rapid-template');
+            if (saved && !_palette.some(t => t.text === saved)) saveTemplate(saved);
         } catch {}
         updateUI();
     }
 
+    function _persistPalette() {
+        try {
+            localStorage.setItem('grossapp-rapid-palette', JSON.stringify(_palette));
+            if (_activeId) localStorage.setItem('grossapp-rapid-active', _activeId);
+            else           localStorage.removeItem('grossapp-rapid-active');
+            // Keep the single-template key in step for older builds
+            const entry = activeEntry();
+            if (entry) localStorage.setItem('grossapp-rapid-template', entry.text);
+            else       localStorage.removeItem('grossapp-rapid-template');
+        } catch {}
+    }
+
+    /**
+     * Add `text` to the palette (or find it there) and make it the template
+     * for the next specimen. Returns the palette entry.
+     */
     function saveTemplate(text) {
-        _template = text;
-        try { localStorage.setItem('grossapp-rapid-template', text); } catch {}
+        let entry = _palette.find(t => t.text === text);
+        if (!entry) {
+            const name = deriveName(text);
+            entry = { id: Date.now().toString(36) + _palette.length, name, text, sites: deriveSites(name) };
+            _palette.push(entry);
+        }
+        _activeId = entry.id;
+        _persistPalette();
+        renderPalette();
+        return entry;
     }
 
+    /** Deselect the active template so the next paste starts afresh. The palette is kept. */
     function clearTemplate() {
-        _template = null;
-        try { localStorage.removeItem('grossapp-rapid-template'); } catch {}
+        _activeId = null;
+        _persistPalette();
+        renderPalette();
+    }
+
+    function removeTemplate(id) {
+        _palette = _palette.filter(t => t.id !== id);
+        if (_activeId === id) _activeId = _palette.length ? _palette[0].id : null;
+        _persistPalette();
+        renderPalette();
+    }
+
+    /** Replace the site keywords used to recognise a palette entry. */
+    function setTemplateSites(id, sites) {
+        const entry = _palette.find(t => t.id === id);
+        if (!entry) return;
+        entry.sites = sites.map(k => k.trim().toLowerCase()).filter(Boolean);
+        _persistPalette();
+        renderPalette();
+    }
+
+    /** Make palette entry `idx` (0-based) the template for the next specimen. */
+    function selectTemplate(idx) {
+        const entry = _palette[idx];
+        if (!entry) return null;
+        _activeId = entry.id;
+        _persistPalette();
+        renderPalette();
+        return entry;
+    }
+
+    // ── Palette naming + site recognition ─────────────────────────────────────
+
+    // Words too generic to tell one biopsy template from another
+    const SITE_STOPWORDS = new Set([
+        'specimen', 'received', 'container', 'labelled', 'labeled', 'patient', 'initials',
+        'consists', 'fragment', 'fragments', 'tissue', 'measuring', 'which', 'with', 'from'
+    ]);
+
+    // Short name from the template's site ("…specimen site 'colon polyp'…"),
+    // else the first words of its first line that isn't the stock reception line
+    function deriveName(text) {
+        const site = text.match(/specimen site\s+['\u2018]([^'\u2019\[\]{}\n]+)['\u2019]/i);
+        if (site) return site[1].trim();
+        const lines = text.split('\n').map(l =>
+            (Cassette.stripSpecimenHeader(l) ?? l)
+                .replace(/['\u2018]?(\[[^\]]*\]|\{\{[^}]*\}\})['\u2019]?/g, '')
+                .replace(/[^\w\s-]/g, '').replace(/^[\s-]+/, '').trim());
+        const line = lines.find(l => l && !/^the specimen is received/i.test(l)) || lines[0];
+        return line.split(/\s+/).slice(0, 4).join(' ') || 'Template';
+    }
+
+    function deriveSites(name) {
+        return name.toLowerCase().split(/[^a-z]+/).filter(w => w.length > 3 && !SITE_STOPWORDS.has(w));
+    }
+
+    /** Palette entry whose longest matching keyword occurs in `site`, or null. */
+    function matchSite(site) {
+        const s = String(site).toLowerCase();
+        let best = null, bestLen = 0;
+        for (const entry of _palette) {
+            for (const k of entry.sites || []) {
+                if (k.length > bestLen && s.includes(k)) { best = entry; bestLen = k.length; }
+            }
+        }
+        return best;
+    }
+
+    function setPrefill(on) {
+        _prefill = !!on;
+        try { localStorage.setItem('grossapp-rapid-prefill', _prefill ? '1' : '0'); } catch {}
     }
 
     function _persistIdx() {
@@ -72,6 +202,7 @@ const Rapid = (() => {
     function toggle() {
         _active = !_active;
         if (_active) {
+            resetSession();
             try { localStorage.setItem('grossapp-rapid', '1'); } catch {}
         } else {
             _blockSepEnd = null;
@@ -99,6 +230,12 @@ const Rapid = (() => {
         const sec = document.getElementById('rapid-sidebar-section');
         if (sec) sec.style.display = _active ? '' : 'none';
 
+        const prefill = document.getElementById('rapid-prefill');
+        if (prefill) prefill.checked = _prefill;
+
+        renderPalette();
+        updateQueueUI();
+        renderStats();
         updateRapidStatus();
     }
 
@@ -106,49 +243,68 @@ const Rapid = (() => {
         const el = document.getElementById('rapid-status');
         if (!el) return;
         if (!_active) { el.textContent = ''; return; }
-        if (!_template) {
+        const entry = activeEntry();
+        if (!entry) {
             el.textContent = 'Paste template to begin';
         } else {
-            el.textContent = `Active: Specimen ${specimenLabel(_specimenIdx)}`;
+            el.textContent = `Active: Specimen ${specimenLabel(_specimenIdx)} · next: ${entry.name}`;
         }
     }
 
+    const _esc = Cassette.escapeHtml;
+
+    // Palette list in the rapid sidebar — click or Alt+N picks the next template
+    function renderPalette() {
+        const el = document.getElementById('rapid-palette');
+        if (!el) return;
+        if (!_palette.length) {
+            el.innerHTML = '<div class="rapid-hint">No templates yet — paste one to start.</div>';
+            return;
+        }
+        el.innerHTML = _palette.map((t, i) => `
+            <div class="rapid-pal-row${t.id === _activeId ? ' active' : ''}"
+                 onclick="App.rapidPickTemplate(${i})"
+                 title="${i < 9 ? `Alt+${i + 1} — ` : ''}use for the next specimen">
+              <span class="rapid-pal-key">${i < 9 ? i + 1 : ''}</span>
+              <span class="rapid-pal-name">${_esc(t.name)}</span>
+              <span class="rapid-pal-sites">${_esc((t.sites || []).join(', '))}</span>
+              <button class="rapid-pal-btn" title="Edit site keywords"
+                onclick="event.stopPropagation(); App.rapidEditSites(${i})">✎</button>
+              <button class="rapid-pal-btn" title="Remove from palette"
+                onclick="event.stopPropagation(); App.rapidRemoveTemplate(${i})">✕</button>
+            </div>`).join('');
+    }
+
     // ── Specimen label helpers ─────────────────────────────────────────────────
 
     /**
-     * Returns the dot-label for a specimen, e.g. "A." (LN) or "1." (NL).
+     * Returns the dot-label for a specimen in the active cassette format,
+     * e.g. "A." (A1) or "1." (1A). Letters run on past Z: 27th → "AA.".
      */
     function specimenLabel(idx) {
-        const fmt = (typeof Cassette !== 'undefined') ? Cassette.getFormat() : 'letter-number';
-        if (fmt === 'number-letter') return `${idx + 1}.`;
-        return String.fromCharCode(65 + (idx % 26)) + '.';
+        return Cassette.specimenHeaderLabel(idx);
     }
 
     // ── Template manipulation ─────────────────────────────────────────────────
 
     /**
      * Build the text for specimen `idx` by rewriting the first-line header.
-     * Handles "A. …" (LN), "1. …" (NL), or no header at all.
-     * All [___] fields are left blank (taken straight from _template).
+     * Handles a header in any registered format ("A. …", "1. …") or none at all.
+     * All [___] fields are left blank (taken straight from the template —
+     * `template` text, default the active palette entry).
      */
-    function buildSpecimenBlock(idx) {
-        if (!_template) return '';
-        const lines     = _template.split('\n');
+    // `vars` fills {{initials}} / {{site}}; {{letter}} is always the
+    // specimen's own. Variables without a value become [fields].
+    function buildSpecimenBlock(idx, template = getTemplate(), vars = {}) {
+        if (!template) return '';
+        const lines     = template.split('\n');
         const firstLine = lines[0];
         const label     = specimenLabel(idx);
 
-        const mLN = firstLine.match(/^([A-Z])\.\s*/);
-        const mNL = firstLine.match(/^(\d+)\.\s*/);
-
-        if (mLN) {
-            lines[0] = label + ' ' + firstLine.substring(mLN[0].length);
-        } else if (mNL) {
-            lines[0] = label + ' ' + firstLine.substring(mNL[0].length);
-        } else {
-            // No header detected — prepend one
-            lines[0] = label + ' ' + firstLine;
-        }
-        return lines.join('\n');
+        const rest = Cassette.stripSpecimenHeader(firstLine);
+        // No header detected — prepend one
+        lines[0] = label + ' ' + (rest !== null ? rest : firstLine);
+        return Cassette.resolveVariables(lines.join('\n'), { ...vars, letter: label.replace(/\.$/, '') });
     }
 
     // ── Textarea operations ───────────────────────────────────────────────────
@@ -158,11 +314,16 @@ const Rapid = (() => {
      * No anchor field — end-of-specimen detection uses cursor position instead.
      */
     function applyFirst(ta) {
-        if (!_template) return;
+        if (!getTemplate()) return;
         _specimenIdx = 0;
         _blockSepEnd = null;
         _persistIdx();
-        ta.value = buildSpecimenBlock(0);
+        _newCase();
+        _blockStart      = 0;
+        _blockTemplateId = _activeId;
+        _blockVars       = {};
+        ta.value = _blockBuilt = buildSpecimenBlock(0);
+        startSpecimen(0, '');
         ta.selectionStart = ta.selectionEnd = 0;
         ta.focus();
         ta.dispatchEvent(new Event('input', { bubbles: true }));
@@ -175,23 +336,602 @@ const Rapid = (() => {
      * in app.js can jump to the first [___] of that specimen.
      */
     function appendNext(ta) {
-        if (!_template) return;
+        if (!getTemplate()) return;
         _specimenIdx++;
         _blockSepEnd = null;
         _persistIdx();
 
         const base       = ta.value.trimEnd();
-        const nextBlock  = buildSpecimenBlock(_specimenIdx);
+        startSpecimen(_specimenIdx, base);
+        _blockVars       = { initials: Cassette.findInitials(base) };
+        let   nextBlock  = buildSpecimenBlock(_specimenIdx, getTemplate(), _blockVars);
+        if (_prefill) nextBlock = prefillFromPrevious(base, nextBlock);
         ta.value         = base + '\n\n' + nextBlock;
+        _blockBuilt      = nextBlock;
 
         // Cursor at start of new block so the caller can find the first field
         const newBlockStart = base.length + 2; // after '\n\n'
+        _blockStart      = newBlockStart;
+        _blockTemplateId = _activeId;
         ta.selectionStart   = ta.selectionEnd = newBlockStart;
         ta.focus();
         ta.dispatchEvent(new Event('input', { bubbles: true }));
         updateRapidStatus();
     }
 
+    // ── Swapping the newest block's template ──────────────────────────────────
+
+    // Text of the newest block, or null if it's no longer where we left it
+    function currentBlock(ta) {
+        if (_blockStart < 0 || _blockStart > ta.value.length) return null;
+        const block = ta.value.substring(_blockStart);
+        return block.startsWith(specimenLabel(_specimenIdx) + ' ') ? block : null;
+    }
+
+    /**
+     * Start of the last specimen block in `text` if it is still exactly as
+     * rapid mode wrote it (the blank block appended for the next specimen),
+     * else -1.
+     */
+    function untouchedTail(text) {
+        if (_blockBuilt === null) return -1;
+        const blocks = specimenBlocks(text);
+        const last   = blocks[blocks.length - 1];
+        if (!last || last.idx !== _specimenIdx) return -1;
+        return text.substring(last.start).trimEnd() === _blockBuilt.trimEnd() ? last.start : -1;
+    }
+
+    // Rebuild the newest block from `entry`, optionally with `site` in its
+    // site field, and make `entry` the template for following specimens too
+    function swapBlock(ta, entry, site) {
+        const { text, caret } = fillSite(buildSpecimenBlock(_specimenIdx, entry.text, _blockVars), site);
+        ta.value = ta.value.substring(0, _blockStart) + text;
+        ta.selectionStart = ta.selectionEnd = _blockStart + caret;
+        ta.focus();
+        _blockBuilt      = site ? null : text;
+        _blockTemplateId = entry.id;
+        _activeId        = entry.id;
+        _persistPalette();
+        renderPalette();
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        updateRapidStatus();
+        return entry;
+    }
+
+    // The [field] on a template's first line that holds the site: the one
+    // right after "site", else the first. Returns { index, length, n } or null.
+    function siteField(firstLine) {
+        const fields = [...firstLine.matchAll(/\[[^\]]*\]/g)];
+        if (!fields.length) return null;
+        const n = Math.max(0, fields.findIndex(m => /site\W*$/i.test(firstLine.substring(0, m.index))));
+        return { index: fields[n].index, length: fields[n][0].length, n };
+    }
+
+    // Put `site` into a built block's site field. Returns { text, caret } with
+    // the caret just after the site (0 when there was no site or field).
+    function fillSite(text, site) {
+        const f = site ? siteField(text.split('\n')[0]) : null;
+        if (!f) return { text, caret: 0 };
+        return {
+            text:  text.substring(0, f.index) + site + text.substring(f.index + f.length),
+            caret: f.index + site.length
+        };
+    }
+
+    /**
+     * Swap the newest block to `entry` if nothing in it has been filled yet.
+     * Returns true when swapped.
+     */
+    function swapIfUnfilled(ta, entry) {
+        const block   = currentBlock(ta);
+        const current = _palette.find(t => t.id === _blockTemplateId);
+        if (block === null || !current || current.id === entry.id) return false;
+        if (block.trimEnd() !== buildSpecimenBlock(_specimenIdx, current.text, _blockVars).trimEnd()) return false;
+        swapBlock(ta, entry, null);
+        return true;
+    }
+
+    /**
+     * If the newest block's site field has been filled with a site matching
+     * another palette entry — and the rest of the block is still unfilled —
+     * rebuild the block from that entry, keeping the typed site.
+     * Returns the entry swapped to, or null.
+     */
+    function recogniseSite(ta) {
+        const block   = currentBlock(ta);
+        const current = _palette.find(t => t.id === _blockTemplateId);
+        if (block === null || !current) return null;
+
+        const [first, ...rest]   = buildSpecimenBlock(_specimenIdx, current.text, _blockVars).split('\n');
+        const [bFirst, ...bRest] = block.split('\n');
+        if (bRest.join('\n').trimEnd() !== rest.join('\n').trimEnd()) return null;
+
+        // Match the typed first line against the template's, fields as wildcards
+        const f = siteField(first);
+        if (!f) return null;
+        const re = new RegExp('^' + first.split(/\[[^\]]*\]/)
+            .map(lit => lit.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('(.*?)') + '$');
+        const m = bFirst.match(re);
+        const site = m && m[f.n + 1].trim();
+        if (!site || /^\[.*\]$/.test(site)) return null;
+
+        const entry = matchSite(site);
+        if (!entry || entry.id === current.id) return null;
+        return swapBlock(ta, entry, site);
+    }
+
+    // ── Carry-over from the previous specimen ─────────────────────────────────
+    // Blocks built from the same template line up field for field, so the
+    // value typed into field N of one specimen fills field N of the next.
+
+    const BLANK_FIELD = /^\[[\s_]*\]$/;
+
+    // Specimen blocks in `text`, split at specimen header lines: [{ start, end, idx }]
+    function specimenBlocks(text) {
+        const fmt    = Cassette.getFormatDef();
+        const blocks = [];
+        let pos = 0;
+        for (const line of text.split('\n')) {
+            const spec = Cassette.parseHeaderToken(line);
+            if (spec !== null) {
+                if (blocks.length) blocks[blocks.length - 1].end = pos;
+                blocks.push({ start: pos, end: text.length, idx: fmt.specimen.toIndex(spec) - 1 });
+            }
+            pos += line.length + 1;
+        }
+        return blocks;
+    }
+
+    /**
+     * Find a template's `literals` (its text between fields) in order in
+     * `text`: the first at the start, the last at the end, each one between
+     * at its first occurrence after the previous. Returns the [{ start, end }]
+     * between consecutive literals — the field values — or null.
+     */
+    function alignLiterals(text, literals) {
+        const first = literals[0], last = literals[literals.length - 1];
+        if (literals.length < 2) return text === first ? [] : null;
+        if (!text.startsWith(first) || !text.endsWith(last)) return null;
+        const tail  = text.length - last.length;
+        const spans = [];
+        let pos = first.length;
+        for (let i = 1; i < literals.length - 1; i++) {
+            const at = text.indexOf(literals[i], pos);
+            if (at < 0 || at + literals[i].length > tail) return null;
+            spans.push({ start: pos, end: at });
+            pos = at + literals[i].length;
+        }
+        if (pos > tail) return null;
+        spans.push({ start: pos, end: tail });
+        return spans;
+    }
+
+    /**
+     * Line `block` (a specimen's text, filled or not) up against the palette
+     * templates. Returns { entry, fields: [{ start, end, hint, value, cassette }] }
+     * with positions relative to the block, or null if no template fits.
+     * `cassette` marks [___]- lines the cassette automation fills.
+     */
+    function matchBlockFields(block, idx) {
+        const candidates = [activeEntry(), ..._palette].filter(Boolean);
+        for (const entry of candidates) {
+            const built  = buildSpecimenBlock(idx, entry.text).trimEnd();
+            const spans  = alignLiterals(block.trimEnd(), built.split(/\[[^\]]*\]/));
+            if (!spans) continue;
+            const tmplFields = [...built.matchAll(/\[[^\]]*\]/g)];
+            return {
+                entry,
+                fields: tmplFields.map((f, i) => ({
+                    start:    spans[i].start,
+                    end:      spans[i].end,
+                    hint:     f[0],
+                    value:    block.substring(spans[i].start, spans[i].end),
+                    cassette: (f.index === 0 || built[f.index - 1] === '\n') &&
+                              /^[\t\-\u2013\u2014:\s]/.test(built.substring(f.index + f[0].length))
+                }))
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Every field of every specimen block, for the field outline:
+     * [{ label, fields: [{ start, end, hint, value, filled }] }] with absolute
+     * positions. Blocks no palette template fits list their open [...] only.
+     */
+    function outlineFields(text) {
+        return specimenBlocks(text).map(b => {
+            const block  = text.substring(b.start, b.end);
+            const match  = matchBlockFields(block, b.idx);
+            const fields = match
+                ? match.fields.map(f => ({
+                    start: b.start + f.start, end: b.start + f.end,
+                    hint: f.hint, value: f.value, filled: !!carriedValue(f)
+                }))
+                : [...block.matchAll(/\[[^\]]*\]/g)].map(m => ({
+                    start: b.start + m.index, end: b.start + m.index + m[0].length,
+                    hint: m[0], value: m[0], filled: false
+                }));
+            return { label: specimenLabel(b.idx).replace(/\.$/, ''), fields };
+        });
+    }
+
+    // Values worth carrying: typed text, not blanks or bracketed suggestions
+    function carriedValue(field) {
+        const v = field && field.value.trim();
+        return v && !/^\[.*\]$/.test(v) ? v : null;
+    }
+
+    /**
+     * Fill the field under the cursor from the same field of the previous
+     * specimen. A field already holding a bracketed pre-fill ("[2]") is
+     * accepted as-is instead. Returns { start, end, value, accepted } with
+     * absolute positions of the written value, or null.
+     */
+    function carryOver(ta) {
+        const text   = ta.value;
+        const pos    = ta.selectionStart;
+        const blocks = specimenBlocks(text);
+        const bi     = blocks.findIndex(b => pos >= b.start && pos <= b.end);
+        if (bi < 0) return null;
+        const cur = blocks[bi];
+        const curMatch = matchBlockFields(text.substring(cur.start, cur.end), cur.idx);
+        if (!curMatch) return null;
+        const fi = curMatch.fields.findIndex(f => pos >= cur.start + f.start && pos <= cur.start + f.end);
+        if (fi < 0) return null;
+        const field = curMatch.fields[fi];
+        const start = cur.start + field.start;
+        const end   = cur.start + field.end;
+        const raw   = field.value.trim();
+
+        let value, accepted = false;
+        if (/^\[.*\]$/.test(raw) && !BLANK_FIELD.test(raw)) {
+            value    = raw.slice(1, -1);
+            accepted = true;
+        } else {
+            const prev = blocks[bi - 1];
+            if (!prev) return null;
+            const prevMatch = matchBlockFields(text.substring(prev.start, prev.end), prev.idx);
+            if (!prevMatch || prevMatch.entry.id !== curMatch.entry.id) return null;
+            value = carriedValue(prevMatch.fields[fi]);
+            if (!value) return null;
+        }
+        ta.value = text.substring(0, start) + value + text.substring(end);
+        ta.selectionStart = ta.selectionEnd = start + value.length;
+        ta.focus();
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        return { start, end: start + value.length, value, accepted };
+    }
+
+    // Copy the last specimen's values into `nextBlock` as bracketed
+    // suggestions — skipping cassette lines and the site, which differ
+    function prefillFromPrevious(base, nextBlock) {
+        const blocks = specimenBlocks(base);
+        const prev   = blocks[blocks.length - 1];
+        if (!prev) return nextBlock;
+        const prevMatch = matchBlockFields(base.substring(prev.start, prev.end), prev.idx);
+        if (!prevMatch || prevMatch.entry.id !== _activeId) return nextBlock;
+        // Line both blocks up with the template itself — variables resolved in
+        // one but not the other still pair field for field
+        const nextMatch = matchBlockFields(nextBlock, _specimenIdx);
+        if (!nextMatch || nextMatch.entry.id !== _activeId) return nextBlock;
+
+        const site = siteField(buildSpecimenBlock(0, nextMatch.entry.text).split('\n')[0]);
+        let out = nextBlock;
+        for (let i = nextMatch.fields.length - 1; i >= 0; i--) {
+            const f     = nextMatch.fields[i];
+            const value = carriedValue(prevMatch.fields[i]);
+            const skip  = prevMatch.fields[i]?.cassette || (site && i === site.n);
+            if (!value || skip || carriedValue(f)) continue;
+            out = out.substring(0, f.start) + `[${value}]` + out.substring(f.end);
+        }
+        return out;
+    }
+
+    // ── Session timing ────────────────────────────────────────────────────────
+
+    function _persistSession() {
+        try { localStorage.setItem('grossapp-rapid-session', JSON.stringify(_session)); } catch {}
+    }
+
+    function resetSession() {
+        _session = { startedAt: Date.now(), specimens: [] };
+        _persistSession();
+        renderStats();
+    }
+
+    // Fields filled in the last specimen block of `text`
+    function _filledInLastBlock(text) {
+        const blocks = specimenBlocks(text);
+        const last   = blocks[blocks.length - 1];
+        const match  = last && matchBlockFields(text.substring(last.start, last.end), last.idx);
+        return match ? match.fields.filter(f => carriedValue(f)).length : 0;
+    }
+
+    // Close the open specimen at `now`, counting the fields filled in its
+    // block — the last one of `text`. One with nothing filled was abandoned
+    // and is dropped rather than skew the averages.
+    function _closeOpen(text, now) {
+        const open = _session?.specimens[_session.specimens.length - 1];
+        if (!open || open.endedAt) return;
+        open.endedAt = now;
+        open.fields  = _filledInLastBlock(text);
+        if (!open.fields) _session.specimens.pop();
+    }
+
+    // Close the open specimen against `base`, the text before the new block,
+    // and open specimen `idx`
+    function startSpecimen(idx, base) {
+        if (!_session) resetSession();
+        const now = Date.now();
+        _closeOpen(base, now);
+        _session.specimens.push({ label: specimenLabel(idx).replace(/\.$/, ''), startedAt: now, endedAt: null, fields: 0 });
+        _persistSession();
+        renderStats();
+    }
+
+    /**
+     * Close the open specimen against the whole document `text` — before the
+     * case is cleared or rapid mode is turned off, so the last one counts.
+     */
+    function closeSpecimen(text) {
+        if (!_session) return;
+        _closeOpen(text, Date.now());
+        _persistSession();
+        renderStats();
+    }
+
+    /**
+     * Summary of the current session over finished specimens:
+     * { done, perHour, avgMs, fields, msPerField, slowest: [{ label, ms }] }
+     * or null before the first specimen has been finished. Given the document
+     * `text`, the open specimen counts as finished now once it has fields filled.
+     */
+    function getSessionStats(text = null) {
+        const specimens = _session?.specimens || [];
+        const done = specimens.filter(sp => sp.endedAt && sp.fields);
+        const open = specimens[specimens.length - 1];
+        if (text !== null && open && !open.endedAt) {
+            const fields = _filledInLastBlock(text);
+            if (fields) done.push({ ...open, endedAt: Date.now(), fields });
+        }
+        if (!done.length) return null;
+        const durations = done.map(sp => ({ label: sp.label, ms: sp.endedAt - sp.startedAt }));
+        const totalMs   = durations.reduce((n, d) => n + d.ms, 0);
+        const fields    = done.reduce((n, sp) => n + sp.fields, 0);
+        return {
+            done:       done.length,
+            perHour:    totalMs ? done.length / (totalMs / 3600000) : 0,
+            avgMs:      totalMs / done.length,
+            fields,
+            msPerField: fields ? totalMs / fields : 0,
+            slowest:    [...durations].sort((a, b) => b.ms - a.ms).slice(0, 3)
+        };
+    }
+
+    function _fmtDuration(ms) {
+        const sec = Math.round(ms / 1000);
+        return sec < 60 ? `${sec}s` : `${Math.floor(sec / 60)}m${String(sec % 60).padStart(2, '0')}s`;
+    }
+
+    function renderStats() {
+        const el = document.getElementById('rapid-stats');
+        if (!el) return;
+        const ta = document.getElementById('dictation');
+        const st = getSessionStats(ta ? ta.value : null);
+        if (!st) { el.textContent = 'Session stats appear after the first specimen.'; return; }
+        el.innerHTML =
+            `<div>${st.done} specimen${st.done !== 1 ? 's' : ''} · ${st.perHour.toFixed(1)}/h · avg ${_fmtDuration(st.avgMs)}</div>` +
+            `<div>${st.fields} fields filled${st.fields ? ` · ${_fmtDuration(st.msPerField)} per field` : ''}</div>` +
+            `<div>Slowest: ${st.slowest.map(d => `${_esc(d.label)} ${_fmtDuration(d.ms)}`).join(', ')}</div>`;
+    }
+
+    // ── Deferred submission queue ─────────────────────────────────────────────
+    // Each item: { key, queuedAt, label, site, gross_text, template_text,
+    // placeholder_fills, histories, terms_shown, terms_used } — the case
+    // details as they were when it was queued.
+    // `key` is the case id plus the specimen label, so a re-submitted document
+    // doesn't queue (or send) the same specimen twice, while a later patient's
+    // specimen with the very same text is still its own case.
+
+    const SENT_LIMIT = 500;
+
+    // Id of the case in the textarea; a new one starts with each new document
+    let _caseId = null;
+
+    function _currentCase() {
+        if (!_caseId) {
+            _caseId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+            try { localStorage.setItem('grossapp-rapid-case', _caseId); } catch {}
+        }
+        return _caseId;
+    }
+
+    function _newCase() {
+        _caseId = null;
+        try { localStorage.removeItem('grossapp-rapid-case'); } catch {}
+    }
+
+    function _readJSON(key) {
+        try { return JSON.parse(localStorage.getItem(key) || '[]'); } catch { return []; }
+    }
+
+    function getQueue() { return _readJSON('grossapp-rapid-queue'); }
+
+    function _saveQueue(queue) {
+        try { localStorage.setItem('grossapp-rapid-queue', JSON.stringify(queue)); } catch {}
+        updateQueueUI();
+    }
+
+    // Site typed into a block: the "specimen site '…'" phrase, else the
+    // value in its template's site field
+    function blockSite(block, match) {
+        const m = block.match(/specimen site\s+['"\u2018\u201c]([^'"\u2019\u201d\[\]\n]+)['"\u2019\u201d]/i);
+        if (m) return m[1].trim();
+        if (!match) return '';
+        const f = siteField(buildSpecimenBlock(0, match.entry.text).split('\n')[0]);
+        return f ? carriedValue(match.fields[f.n]) || '' : '';
+    }
+
+    /**
+     * Split `text` into specimen blocks and queue every complete one (no
+     * required [fields] left) not already sent, with the case's `context`
+     * ({ histories, terms_shown, terms_used, extractFills(template, text) })
+     * as it stands now. A queued specimen edited since is queued afresh.
+     * Returns { queued, skipped } — skipped = blocks with unfilled fields,
+     * not counting the blank block waiting for the next specimen.
+     */
+    function queueDocument(text, context = {}) {
+        const queue = getQueue();
+        const sent  = new Set(_readJSON('grossapp-rapid-sent'));
+        const tail  = untouchedTail(text);
+        let queued = 0, skipped = 0;
+        for (const b of specimenBlocks(text)) {
+            if (b.start === tail) continue;
+            const block = text.substring(b.start, b.end).trim();
+            const match = matchBlockFields(block, b.idx);
+            // Same rule as the field outline: only required fields hold it back
+            const open  = match
+                ? match.fields.filter(f => !carriedValue(f)).map(f => f.hint)
+                : [...block.matchAll(/\[[^\]]*\]/g)].map(m => m[0]);
+            if (open.some(h => !Cassette.isOptionalHint(h))) { skipped++; continue; }
+            const key = `${_currentCase()}|${specimenLabel(b.idx)}`;
+            if (sent.has(key)) continue;
+            const item = {
+                key,
+                queuedAt:          Date.now(),
+                label:             specimenLabel(b.idx),
+                site:              blockSite(block, match),
+                gross_text:        block,
+                template_text:     match ? match.entry.text : null,
+                placeholder_fills: match && context.extractFills ? context.extractFills(match.entry.text, block) : [],
+                histories:         context.histories   || [],
+                terms_shown:       context.terms_shown || [],
+                terms_used:        context.terms_used  || []
+            };
+            // Edited since it was queued → replace the waiting copy
+            const at = queue.findIndex(q => q.key === key);
+            if (at >= 0) {
+                if (queue[at].gross_text !== block) queue[at] = item;
+                continue;
+            }
+            queue.push(item);
+            queued++;
+        }
+        _saveQueue(queue);
+        return { queued, skipped };
+    }
+
+    /** Drop a sent item from the queue and remember it so it isn't re-queued. */
+    function markSent(key) {
+        _saveQueue(getQueue().filter(q => q.key !== key));
+        const sent = _readJSON('grossapp-rapid-sent').filter(k => k !== key);
+        sent.push(key);
+        try { localStorage.setItem('grossapp-rapid-sent', JSON.stringify(sent.slice(-SENT_LIMIT))); } catch {}
+    }
+
+    function updateQueueUI() {
+        const n   = getQueue().length;
+        const btn = document.getElementById('btn-rapid-queue');
+        if (btn) {
+            btn.textContent = n ? `Submit queued cases (${n})` : 'No cases queued';
+            btn.disabled    = n === 0;
+        }
+    }
+
+    // ── Batch setup from a requisition list ───────────────────────────────────
+
+    /**
+     * Parse a pasted container list into [{ label, site }]:
+     *   "A: ascending colon polyp, B: sigmoid polyp, C: rectum random"
+     *   one per line ("1. gastric antrum", "B) rectum"), or unlabelled sites.
+     * A list on several lines splits on lines only. On one line, commas split
+     * only where the next label continues the sequence (A → B, 1 → 2), so
+     * sites like "skin, left shoulder" or "lung mass, CT-guided core"
+     * survive. Unlabelled entries get label null.
+     */
+    function parseRequisition(text) {
+        const LABEL = /^\s*([A-Z]{1,2}|\d{1,2})\s*[:.)\-\u2013]\s*/;
+        const lines = text.split('\n').filter(l => l.trim());
+        let parts;
+        if (lines.length > 1) {
+            parts = lines;
+        } else {
+            parts = [];
+            let prev = (text.match(LABEL) || [])[1] || null, last = 0;
+            for (const m of text.matchAll(/[,;]\s*(?=([A-Z]{1,2}|\d{1,2})\s*[:.)\-\u2013])/g)) {
+                if (!prev || m[1] !== nextLabel(prev)) continue;
+                parts.push(text.substring(last, m.index));
+                last = m.index + m[0].length;
+                prev = m[1];
+            }
+            parts.push(text.substring(last));
+            if (!parts.some(p => LABEL.test(p))) parts = text.split(/[,;]/);
+        }
+        return parts.map(p => p.trim()).filter(Boolean).map(p => {
+            const m = p.match(LABEL);
+            return {
+                label: m ? m[1] : null,
+                site:  (m ? p.substring(m[0].length) : p).replace(/[,;.\s]+$/, '').trim()
+            };
+        }).filter(e => e.site);
+    }
+
+    // Requisition label after `label`: 1 → 2, A → B, Z → AA, AZ → BA
+    function nextLabel(label) {
+        if (/^\d+$/.test(label)) return String(Number(label) + 1);
+        const n = [...label].reduce((v, c) => v * 26 + c.charCodeAt(0) - 64, 0) + 1;
+        let out = '';
+        for (let v = n; v > 0; v = Math.floor((v - 1) / 26)) out = String.fromCharCode(65 + (v - 1) % 26) + out;
+        return out;
+    }
+
+    // 0-based specimen index for a requisition label in the active format, else null
+    function labelIndex(label) {
+        if (!label) return null;
+        const idx = Cassette.getFormatDef().specimen.toIndex(label);
+        return Number.isFinite(idx) && idx > 0 ? idx - 1 : null;
+    }
+
+    /**
+     * Plan the batch: one entry per container with its specimen index and the
+     * palette template to use (matched by site, else the active one).
+     */
+    function planBatch(entries) {
+        const fallback = activeEntry();
+        let next = 0;
+        return entries.map(e => {
+            const idx = labelIndex(e.label) ?? next;
+            next = idx + 1;
+            return { ...e, idx, template: matchSite(e.site) || fallback };
+        }).filter(p => p.template);
+    }
+
+    /**
+     * Replace the textarea with every planned specimen block, site filled in.
+     * The last block becomes the newest block so appendNext carries on after it.
+     * Returns the number of specimens written.
+     */
+    function applyBatch(ta, plan) {
+        if (!plan.length) return 0;
+        const blocks = plan.map(p => fillSite(buildSpecimenBlock(p.idx, p.template.text), p.site).text);
+        const last   = plan[plan.length - 1];
+        ta.value = blocks.join('\n\n');
+        _newCase();
+        _specimenIdx     = last.idx;
+        _blockSepEnd     = null;
+        _blockStart      = ta.value.length - blocks[blocks.length - 1].length;
+        _blockTemplateId = last.template.id;
+        _blockVars       = {};
+        _blockBuilt      = blocks[blocks.length - 1];
+        _persistIdx();
+        ta.selectionStart = ta.selectionEnd = 0;
+        ta.focus();
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        updateRapidStatus();
+        return plan.length;
+    }
+
     // ── Cassette block cursor adjustment ─────────────────────────────────────
 
     /**
@@ -207,16 +947,7 @@ const Rapid = (() => {
      */
     function onCassetteBlock(ta, prefix) {
         if (!prefix) return null;
-        const fmt = (typeof Cassette !== 'undefined') ? Cassette.getFormat() : 'letter-number';
-
-        let blockLabelLen;
-        if (fmt === 'number-letter') {
-            const m = prefix.match(/^(\d+[A-Za-z]+)/);
-            blockLabelLen = m ? m[1].length : Math.max(0, prefix.length - 1);
-        } else {
-            const m = prefix.match(/^([A-Za-z]\d+)/);
-            blockLabelLen = m ? m[1].length : Math.max(0, prefix.length - 1);
-        }
+        const blockLabelLen = Cassette.leadingLabelLength(prefix) || Math.max(0, prefix.length - 1);
 
         const sepLen = prefix.length - blockLabelLen;
         if (sepLen > 0) {
@@ -234,6 +965,8 @@ const Rapid = (() => {
     function reset() {
         _specimenIdx = 0;
         _blockSepEnd = null;
+        _blockBuilt  = null;
+        _newCase();
         _persistIdx();
         updateRapidStatus();
     }
@@ -243,6 +976,12 @@ const Rapid = (() => {
     return {
         isActive, toggle, load,
         saveTemplate, getTemplate, clearTemplate,
+        getPalette, selectTemplate, removeTemplate, setTemplateSites,
+        matchSite, recogniseSite, swapIfUnfilled, renderPalette,
+        parseRequisition, planBatch, applyBatch,
+        carryOver, getPrefill, setPrefill, outlineFields,
+        untouchedTail, queueDocument, getQueue, markSent, updateQueueUI,
+        getSessionStats, resetSession, closeSpecimen,
         specimenLabel, buildSpecimenBlock,
         applyFirst, appendNext,
         onCassetteBlock,